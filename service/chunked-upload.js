@@ -0,0 +1,426 @@
+import Storage from '../utility/storage/storage';
+import StringHelper from '../utility/string/string-helper';
+import { AbortError } from './http-errors';
+
+/**
+ * The events published through the `emitter` of an upload
+ *
+ * - `PROGRESS`: detail `{loaded, total, percent}` of the whole file
+ * - `CHUNK`: a chunk was stored by the server, detail `{index, chunkCount}`
+ * - `COMPLETE`: all chunks were uploaded, detail `{response}`
+ * - `ERROR`: the upload stopped because of an error, detail `{error}`. It can be resumed through `start()`.
+ *
+ * @type {{PROGRESS: string, CHUNK: string, COMPLETE: string, ERROR: string}}
+ */
+export const UPLOAD_EVENT = {
+    PROGRESS: 'ChunkedUpload/progress',
+    CHUNK: 'ChunkedUpload/chunk',
+    COMPLETE: 'ChunkedUpload/complete',
+    ERROR: 'ChunkedUpload/error',
+};
+
+/**
+ * @class ChunkedUpload
+ * @description
+ * ChunkedUpload sends a large file through an `HttpClient` in chunks, several at a time. A chunk which fails is
+ * retried on its own, and the chunks stored by the server are persisted in a storage of `utility/storage`, so an
+ * interrupted upload continues where it stopped, even after a reload, once `start()` is called again for the
+ * same file.
+ *
+ * Every chunk is sent as `FormData` with the fields `uploadId`, `chunkIndex`, `chunkCount`, `offset`,
+ * `fileName`, `fileSize` and the chunk itself, plus a `Content-Range` header. With a `startUrl`, the upload id is
+ * taken from the `uploadId` of the JSON response to `{fileName, fileSize, chunkSize, chunkCount}`, otherwise it is
+ * generated. With a `completeUrl`, `{uploadId, fileName, fileSize, chunkCount}` is sent there once all chunks
+ * arrived.
+ *
+ * @example
+ * const upload = new ChunkedUpload(client, input.files[0], {
+ *     url: '/api/media/chunk',
+ *     completeUrl: '/api/media/complete',
+ *     onProgress: ({ percent }) => progressBar.update(percent),
+ * });
+ *
+ * upload.start().then(response => showMedia(response.data));
+ * cancelButton.addEventListener('click', () => upload.cancel());
+ *
+ * @author Daouda Warme
+ */
+export default class ChunkedUpload {
+
+    /**
+     * @param {HttpClient} client - Sends the chunks, with its headers and CSRF protection
+     * @param {Blob|File} file
+     * @param {object} options
+     * @param {string} options.url - The URL the chunks are sent to
+     * @param {string|null} [options.startUrl = null] - Announces the upload and returns its id
+     * @param {string|null} [options.completeUrl = null] - Is told once all chunks arrived
+     * @param {string} [options.method = 'POST'] - The method of the chunk requests
+     * @param {number} [options.chunkSize = 5242880] - The size of a chunk in bytes
+     * @param {number} [options.parallel = 3] - How many chunks are sent at the same time
+     * @param {number} [options.retries = 3] - How often a failed chunk is sent again
+     * @param {string} [options.fieldName = 'chunk'] - The form field of the chunk
+     * @param {Object<string, string>} [options.data = {}] - Further form fields sent with every chunk
+     * @param {string|null} [options.id = null] - Identifies the upload in the storage, defaults to the name, size
+     * and modification date of the file and the URL
+     * @param {Storage|MemoryStorage} [options.storage = Storage] - Where the state of the upload is persisted
+     * @param {NativeEventEmitter|null} [options.emitter = null] - Publishes the `UPLOAD_EVENT`s
+     * @param {function({loaded: number, total: number, percent: number})|null} [options.onProgress = null]
+     */
+    constructor(client, file, options) {
+        if (!options || !options.url) {
+            throw new Error('The ChunkedUpload requires a "url" to send the chunks to');
+        }
+
+        this._client = client;
+        this._file = file;
+        this._options = Object.assign({
+            startUrl: null,
+            completeUrl: null,
+            method: 'POST',
+            chunkSize: 5 * 1024 * 1024,
+            parallel: 3,
+            retries: 3,
+            fieldName: 'chunk',
+            data: {},
+            id: null,
+            storage: Storage,
+            emitter: null,
+            onProgress: null,
+        }, options);
+
+        if (this._options.chunkSize < 1 || this._options.parallel < 1) {
+            throw new Error('The "chunkSize" and "parallel" options of the ChunkedUpload must be at least 1');
+        }
+
+        /**
+         * @property {number} chunkCount
+         */
+        this.chunkCount = Math.max(1, Math.ceil(file.size / this._options.chunkSize));
+
+        /**
+         * @private
+         * @property {string} _storageKey
+         */
+        this._storageKey = `chunked-upload:${this._options.id || ChunkedUpload._fingerprint(file, this._options.url)}`;
+
+        /**
+         * @private
+         * @property {{uploadId: string|null, chunkSize: number, completed: number[]}} _state - The persisted state
+         */
+        this._state = this._readState();
+
+        /**
+         * @private
+         * @property {Object<number, number>} _inFlight - The uploaded bytes of the running chunks, by index
+         */
+        this._inFlight = {};
+
+        /**
+         * @private
+         * @property {AbortController|null} _controller - Cancels the running chunk requests
+         */
+        this._controller = null;
+
+        /**
+         * @private
+         * @property {Promise<HttpResponse|null>|null} _running
+         */
+        this._running = null;
+
+        /**
+         * @private
+         * @property {Promise<HttpResponse|null>|null} _finished - The outcome of the completed upload
+         */
+        this._finished = null;
+    }
+
+    /**
+     * @returns {{loaded: number, total: number, percent: number}} the progress of the whole file
+     */
+    get progress() {
+        const total = this._file.size;
+        const completed = this._state.completed.reduce((sum, index) => sum + this._getChunkSize(index), 0);
+        const running = Object.keys(this._inFlight).reduce((sum, index) => sum + this._inFlight[index], 0);
+        const loaded = Math.min(total, completed + running);
+
+        return { loaded, total, percent: total > 0 ? Math.round(loaded / total * 100) : 100 };
+    }
+
+    /**
+     * Starts or resumes the upload. Calls while the upload is running return the running upload, calls after it
+     * completed return its outcome without sending anything.
+     *
+     * @returns {Promise<HttpResponse|null>} the response of the `completeUrl`, or without it the response of the last
+     * chunk, `null` if that chunk was sent before the upload was resumed
+     */
+    start() {
+        if (this._running || this._finished) {
+            return this._running || this._finished;
+        }
+
+        this._controller = new AbortController();
+        const responses = {};
+
+        this._running = this._announce()
+            .then(() => {
+                const pending = [];
+
+                for (let index = 0; index < this.chunkCount; index++) {
+                    if (this._state.completed.indexOf(index) === -1) {
+                        pending.push(index);
+                    }
+                }
+
+                const work = () => {
+                    if (pending.length === 0) {
+                        return Promise.resolve();
+                    }
+
+                    const index = pending.shift();
+
+                    return this._sendChunk(index).then((response) => {
+                        responses[index] = response;
+                        return work();
+                    });
+                };
+
+                const workers = [];
+                for (let i = 0; i < Math.min(this._options.parallel, pending.length); i++) {
+                    workers.push(work());
+                }
+
+                return Promise.all(workers);
+            })
+            .then(() => this._complete(responses[this.chunkCount - 1] || null))
+            .then((response) => {
+                this._running = null;
+                this._finished = Promise.resolve(response);
+                this._options.storage.removeItem(this._storageKey);
+                this._publish(UPLOAD_EVENT.COMPLETE, { response });
+
+                return response;
+            }, (error) => {
+                this._running = null;
+                this._inFlight = {};
+
+                // the other chunks of a failed upload are stopped, the upload is resumed as a whole
+                this._controller.abort();
+
+                if (!(error instanceof AbortError)) {
+                    this._publish(UPLOAD_EVENT.ERROR, { error });
+                }
+
+                throw error;
+            });
+
+        return this._running;
+    }
+
+    /**
+     * Stops the running chunks, the upload can be resumed through `start()`
+     */
+    pause() {
+        if (this._controller) {
+            this._controller.abort();
+        }
+    }
+
+    /**
+     * Stops the upload and forgets its state, a later `start()` begins from the first chunk
+     */
+    cancel() {
+        this.pause();
+        this._options.storage.removeItem(this._storageKey);
+        this._state = { uploadId: null, chunkSize: this._options.chunkSize, completed: [] };
+        this._finished = null;
+    }
+
+    /**
+     * @private
+     * Fetches an upload id if none is known yet
+     *
+     * @returns {Promise<void>}
+     */
+    _announce() {
+        if (this._state.uploadId) {
+            return Promise.resolve();
+        }
+
+        if (!this._options.startUrl) {
+            this._state.uploadId = StringHelper.createUniqueId();
+            this._writeState();
+
+            return Promise.resolve();
+        }
+
+        return this._client.request('POST', this._options.startUrl, {
+            data: {
+                fileName: this._file.name || null,
+                fileSize: this._file.size,
+                chunkSize: this._options.chunkSize,
+                chunkCount: this.chunkCount,
+            },
+            responseType: 'json',
+            offline: false,
+            signal: this._controller.signal,
+        }).then((response) => {
+            if (!response.data || !response.data.uploadId) {
+                throw new Error(`The response of "${this._options.startUrl}" contains no "uploadId"`);
+            }
+
+            this._state.uploadId = response.data.uploadId;
+            this._writeState();
+        });
+    }
+
+    /**
+     * @private
+     * @param {number} index
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _sendChunk(index) {
+        const options = this._options;
+        const start = index * options.chunkSize;
+        const end = Math.min(start + options.chunkSize, this._file.size);
+        const data = new FormData();
+
+        Object.keys(options.data).forEach(name => data.append(name, options.data[name]));
+        data.append('uploadId', this._state.uploadId);
+        data.append('chunkIndex', String(index));
+        data.append('chunkCount', String(this.chunkCount));
+        data.append('offset', String(start));
+        data.append('fileName', this._file.name || '');
+        data.append('fileSize', String(this._file.size));
+        data.append(options.fieldName, this._file.slice(start, end), this._file.name || 'blob');
+
+        this._inFlight[index] = 0;
+
+        return this._client.request(options.method, options.url, {
+            data,
+            headers: { 'Content-Range': `bytes ${start}-${Math.max(start, end - 1)}/${this._file.size}` },
+            retry: { maxAttempts: options.retries + 1, methods: [options.method.toUpperCase()] },
+            offline: false,
+            signal: this._controller.signal,
+            onUploadProgress: (progress) => {
+                this._inFlight[index] = Math.min(progress.loaded, end - start);
+                this._reportProgress();
+            },
+        }).then((response) => {
+            delete this._inFlight[index];
+            this._state.completed.push(index);
+            this._writeState();
+            this._reportProgress();
+            this._publish(UPLOAD_EVENT.CHUNK, { index, chunkCount: this.chunkCount });
+
+            return response;
+        }, (error) => {
+            delete this._inFlight[index];
+            throw error;
+        });
+    }
+
+    /**
+     * @private
+     * @param {HttpResponse|null} lastResponse - The response of the chunk with the last index
+     *
+     * @returns {Promise<HttpResponse|null>}
+     */
+    _complete(lastResponse) {
+        if (!this._options.completeUrl) {
+            return Promise.resolve(lastResponse);
+        }
+
+        return this._client.request('POST', this._options.completeUrl, {
+            data: {
+                uploadId: this._state.uploadId,
+                fileName: this._file.name || null,
+                fileSize: this._file.size,
+                chunkCount: this.chunkCount,
+            },
+            offline: false,
+            signal: this._controller.signal,
+        });
+    }
+
+    /**
+     * @private
+     */
+    _reportProgress() {
+        const progress = this.progress;
+
+        if (this._options.onProgress) {
+            this._options.onProgress(progress);
+        }
+
+        this._publish(UPLOAD_EVENT.PROGRESS, progress);
+    }
+
+    /**
+     * @private
+     * @param {string} eventName
+     * @param {object} detail
+     */
+    _publish(eventName, detail) {
+        if (this._options.emitter) {
+            this._options.emitter.publish(eventName, detail);
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} index
+     *
+     * @returns {number}
+     */
+    _getChunkSize(index) {
+        const start = index * this._options.chunkSize;
+
+        return Math.max(0, Math.min(this._options.chunkSize, this._file.size - start));
+    }
+
+    /**
+     * @private
+     * Reads the persisted state, a state written with another chunk size can't be resumed
+     *
+     * @returns {{uploadId: string|null, chunkSize: number, completed: number[]}}
+     */
+    _readState() {
+        const empty = { uploadId: null, chunkSize: this._options.chunkSize, completed: [] };
+        const value = this._options.storage.getItem(this._storageKey);
+
+        if (!value) {
+            return empty;
+        }
+
+        try {
+            const state = JSON.parse(value);
+
+            return state && state.chunkSize === this._options.chunkSize && Array.isArray(state.completed) ? state : empty;
+        } catch (e) {
+            return empty;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _writeState() {
+        try {
+            this._options.storage.setItem(this._storageKey, JSON.stringify(this._state));
+        } catch (e) {
+            // without a persisted state the upload just can't be resumed after a reload
+        }
+    }
+
+    /**
+     * @private
+     * @param {Blob|File} file
+     * @param {string} url
+     *
+     * @returns {string}
+     */
+    static _fingerprint(file, url) {
+        return [file.name || 'blob', file.size, file.lastModified || 0, url].join(':');
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * @class CsrfTokenCache
+ * @description
+ * CsrfTokenCache keeps the CSRF token of an `HttpClient` for a limited time, so protected requests don't have to
+ * fetch a new token every time. Concurrent requests for a token share a single fetch. A token rejected by the
+ * server is dropped through `invalidate()`, which makes the next request fetch a fresh one.
+ *
+ * @author Daouda Warme
+ */
+export default class CsrfTokenCache {
+
+    /**
+     * @param {number} ttl - How long a token is reused in ms, `0` fetches a new token for every request
+     */
+    constructor(ttl = 0) {
+
+        /**
+         * @private
+         * @property {number} _ttl
+         */
+        this._ttl = ttl;
+
+        /**
+         * @private
+         * @property {string|null} _token - The cached token
+         */
+        this._token = null;
+
+        /**
+         * @private
+         * @property {number} _expiresAt - Timestamp in ms after which the cached token is stale
+         */
+        this._expiresAt = 0;
+
+        /**
+         * @private
+         * @property {Promise<string|null>|null} _pending - The running fetch, shared by all callers
+         */
+        this._pending = null;
+    }
+
+    /**
+     * Returns the cached token, or fetches a new one if there is none, it expired or `refresh` is set
+     *
+     * @param {function(): Promise<string|null>} fetchToken - Fetches a new token, resolving to `null` on failure
+     * @param {boolean} refresh - Whether the cached token must not be used
+     *
+     * @returns {Promise<string|null>}
+     */
+    get(fetchToken, refresh = false) {
+        if (!refresh && this.hasToken()) {
+            return Promise.resolve(this._token);
+        }
+
+        if (this._pending) {
+            return this._pending;
+        }
+
+        this._pending = fetchToken().then((token) => {
+            this._pending = null;
+
+            if (token !== null && this._ttl > 0) {
+                this._token = token;
+                this._expiresAt = Date.now() + this._ttl;
+            }
+
+            return token;
+        });
+
+        return this._pending;
+    }
+
+    /**
+     * Returns whether a token is cached and not expired yet
+     *
+     * @returns {boolean}
+     */
+    hasToken() {
+        return this._token !== null && Date.now() < this._expiresAt;
+    }
+
+    /**
+     * Drops the cached token
+     */
+    invalidate() {
+        this._token = null;
+        this._expiresAt = 0;
+    }
+}
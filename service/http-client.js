@@ -1,42 +1,236 @@
+import HttpResponse from './http-response';
+import { AbortError, HttpError, NetworkError, OfflineError, RequestError, TimeoutError } from './http-errors';
+import InterceptorManager from './interceptor-manager';
+import RetryPolicy from './retry-policy';
+import CsrfTokenCache from './csrf-token-cache';
+import ResponseCache from './response-cache';
+import RequestScheduler from './request-scheduler';
+import QueryString, { PARAMS_STYLE } from './query-string';
+import HttpStream from './http-stream';
+import XhrTransport from './transport/xhr-transport';
+
+/**
+ * The clients registered through `HttpClient.createInstance()`, by name
+ *
+ * @type {Map<string, HttpClient>}
+ */
+const instances = new Map();
+
+/**
+ * The name of the instance returned by `HttpClient.getInstance()` without arguments
+ *
+ * @type {string}
+ */
+export const DEFAULT_INSTANCE = 'default';
+
+/**
+ * The ways a request can be protected against CSRF
+ *
+ * - `none`: no protection
+ * - `body`: a token fetched from the token URL is added to the request body, or sent as header if the body
+ *   can't carry it (e.g. a `Blob`)
+ * - `header`: a token fetched from the token URL is sent as request header
+ * - `custom`: the `provider` function of the CSRF options protects the request config itself
+ *
+ * @type {{NONE: string, BODY: string, HEADER: string, CUSTOM: string}}
+ */
+export const CSRF_STRATEGY = {
+    NONE: 'none',
+    BODY: 'body',
+    HEADER: 'header',
+    CUSTOM: 'custom',
+};
+
+/**
+ * The events published through the `emitter` of a client while requests transfer their body. The event detail
+ * is the progress, see `onUploadProgress` of the request options.
+ *
+ * @type {{UPLOAD: string, DOWNLOAD: string}}
+ */
+export const PROGRESS_EVENT = {
+    UPLOAD: 'HttpClient/uploadProgress',
+    DOWNLOAD: 'HttpClient/downloadProgress',
+};
+
 /**
  * @class HttpClient
  * @description
- * HttpClient is a utility class for making HTTP requests using `XMLHttpRequest`. It provides methods for
- * sending GET, POST, DELETE, and PATCH requests, with the ability to handle CSRF protection automatically.
- * The class supports setting custom content types and includes functionality to abort ongoing requests.
- * It simplifies handling asynchronous server communication in web applications, especially for handling
- * requests that require CSRF tokens and specific request headers.
+ * HttpClient is a utility class for making HTTP requests through a transport, `XMLHttpRequest` by default. It
+ * simplifies asynchronous server communication in web applications, especially requests which require CSRF tokens
+ * and specific request headers.
+ *
+ * It provides methods for sending GET, POST, PUT, DELETE, PATCH, HEAD and OPTIONS requests, or any other method
+ * through `request()`, and handles CSRF protection automatically. Every verb is available with a callback and,
+ * through its `*Async` variant, with a Promise resolving to an `HttpResponse`. Response bodies are decoded based on
+ * their content type, failed requests are reported with the typed errors of `http-errors.js`.
+ *
+ * Request and response interceptors adjust every request sent through the client, and an opt-in `RetryPolicy`
+ * resends requests which failed temporarily. Requests can be cancelled one by one through an `AbortSignal` or all
+ * at once, and may be limited by a timeout.
+ *
+ * Further features are enabled through the options of the constructor:
+ * - `ResponseCache`: serves repeated GET requests
+ * - `NativeEventEmitter`: publishes the upload and download progress of all requests, which is also reported to
+ *   the callbacks of each request
+ * - `RequestScheduler`: limits the concurrent requests per host and sends important requests first
+ * - `OfflineQueue`: keeps mutations which can't reach the server until the connection is back
+ *
+ * Streaming responses (Server-Sent Events and NDJSON) are read while they arrive through `stream()`.
+ *
+ * A client is configured through the options of its constructor. Without CSRF options it falls back to the
+ * global `window.csrf` and `window.router` configuration of the storefront layout, if present. Clients for
+ * different backends can be registered by name and retrieved anywhere through `HttpClient.getInstance()`.
+ * The transport can be replaced, e.g. by the `FetchTransport` or, in tests, by the `MockTransport`.
+ *
+ * @example
+ * HttpClient.createInstance('search', {
+ *     baseURL: 'https://search.example.com/api',
+ *     headers: { 'X-Api-Key': key },
+ *     csrf: { strategy: 'none' },
+ * });
+ * HttpClient.getInstance('search').getAsync('suggest');
  *
  * @author Daouda Warme
  */
 
 export default class HttpClient {
 
-    constructor() {
+    /**
+     * @param {object} options
+     * @param {string} [options.baseURL = ''] - Prepended to every relative request URL
+     * @param {Object<string, string>} [options.headers = {}] - Headers sent with every request
+     * @param {'brackets'|'repeat'} [options.paramsStyle = 'brackets'] - How arrays of the `params` option are written
+     * @param {number} [options.timeout = 0] - The default timeout of a request in ms, `0` disables it
+     * @param {{createRequest: function(): XMLHttpRequest}} [options.transport = new XhrTransport()] - Creates the
+     * request objects, see `XhrTransport`
+     * @param {NativeEventEmitter|null} [options.emitter = null] - Publishes the `PROGRESS_EVENT`s of every request,
+     * e.g. for a global progress bar
+     * @param {RequestScheduler|object|boolean|null} [options.scheduler = null] - Limits the concurrent requests per
+     * host. Accepts a scheduler, the options to create one or `true` for the scheduler shared by all clients.
+     * @param {OfflineQueue|null} [options.offline = null] - Stores mutations sent while offline or failing with a
+     * `NetworkError`, they are rejected with an `OfflineError` and sent again by the client once it is online
+     * @param {RetryPolicy|object|null} [options.retry = null] - The retry policy, or the options to create one
+     * @param {ResponseCache|object|boolean|null} [options.cache = null] - Caches GET responses and merges identical
+     * GET requests running at the same time. Accepts a cache, the options to create one or `true` for the defaults.
+     * @param {object} [options.csrf] - The CSRF protection, defaults to the global `window.csrf` configuration
+     * @param {'none'|'body'|'header'|'custom'} [options.csrf.strategy = 'none'] - How requests are protected
+     * @param {string|null} [options.csrf.tokenUrl = null] - The URL a new token is fetched from
+     * @param {string} [options.csrf.fieldName = '_csrf_token'] - The body field of the `body` strategy
+     * @param {string} [options.csrf.headerName = 'X-CSRF-Token'] - The header of the `header` strategy
+     * @param {number} [options.csrf.ttl = 300000] - How long a fetched token is reused in ms, `0` disables caching
+     * @param {number[]} [options.csrf.rejectionStatus = [403, 419]] - The status codes with which the server rejects
+     * a token. A protected request failing with one of them is sent once more with a fresh token.
+     * @param {function(object): (void|Promise<void>)|null} [options.csrf.provider = null] - Protects the request
+     * config when using the `custom` strategy
+     */
+    constructor(options = {}) {
+
+        /**
+         * @private
+         * @property {object|null} _lastContext - The context of the most recently started request, which is cancelled by `abort()`.
+         */
+        this._lastContext = null;
+
+        /**
+         * @private
+         * @property {Set<object>} _pendingContexts - The contexts of all requests which haven't finished yet, cancelled by `abortAll()`.
+         */
+        this._pendingContexts = new Set();
+
+        /**
+         * @private
+         * @property {string} _baseURL - Prepended to every relative request URL.
+         */
+        this._baseURL = options.baseURL || '';
+
+        /**
+         * @private
+         * @property {Object<string, string>} _headers - Headers sent with every request.
+         */
+        this._headers = Object.assign({}, options.headers);
+
+        /**
+         * @private
+         * @property {string} _paramsStyle - How arrays of the `params` option are written, see `PARAMS_STYLE`.
+         */
+        this._paramsStyle = options.paramsStyle || PARAMS_STYLE.BRACKETS;
+
+        /**
+         * @private
+         * @property {{createRequest: function(): XMLHttpRequest}} _transport - Creates the request objects.
+         */
+        this._transport = options.transport || new XhrTransport();
+
+        if (typeof this._transport.createRequest !== 'function') {
+            throw new Error('The transport of the HttpClient must implement "createRequest"');
+        }
+
+        /**
+         * @private
+         * @property {NativeEventEmitter|null} _emitter - Publishes the progress of every request.
+         */
+        this._emitter = options.emitter || null;
+
+        /**
+         * @private
+         * @property {RequestScheduler|null} _scheduler - Queues the requests, they are sent right away when `null`.
+         */
+        this._scheduler = HttpClient._toScheduler(options.scheduler);
+
+        /**
+         * @private
+         * @property {OfflineQueue|null} _offlineQueue - Stores mutations which can't reach the server.
+         */
+        this._offlineQueue = options.offline || null;
+
+        if (this._offlineQueue) {
+            this._offlineQueue.listen(entry => this._replayOfflineEntry(entry));
+        }
+
+        /**
+         * @private
+         * @property {{strategy: string, tokenUrl: string|null, fieldName: string, headerName: string, provider: function|null, ttl: number, rejectionStatus: number[]}} _csrf - The CSRF protection.
+         */
+        this._csrf = HttpClient._createCsrfOptions(options.csrf);
+
+        /**
+         * @private
+         * @property {CsrfTokenCache} _csrfTokens - Reuses fetched CSRF tokens until they expire or are rejected.
+         */
+        this._csrfTokens = new CsrfTokenCache(this._csrf.ttl);
 
         /**
          * @private
-         * @property {XMLHttpRequest|null} _request - Stores the current XMLHttpRequest object, allowing the request to be tracked and aborted if necessary.
+         * @property {RetryPolicy|null} _retryPolicy - Decides whether failed requests are sent again, requests are only sent once when `null`.
          */
-        this._request = null;
+        this._retryPolicy = HttpClient._toRetryPolicy(options.retry);
 
         /**
          * @private
-         * @property {boolean} _csrfEnabled - Indicates whether CSRF protection is enabled. Retrieved from global `window.csrf.enabled` configuration.
+         * @property {number} _timeout - The default timeout of a request in ms, `0` disables it.
          */
-        this._csrfEnabled = window.csrf.enabled;
+        this._timeout = options.timeout || 0;
 
         /**
          * @private
-         * @property {string} _csrfMode - Defines the mode of CSRF protection. Typically, this will determine how CSRF tokens are handled (e.g., 'ajax').
+         * @property {ResponseCache|null} _cache - Caches GET responses, nothing is cached when `null`.
          */
-        this._csrfMode = window.csrf.mode;
+        this._cache = HttpClient._toResponseCache(options.cache);
 
         /**
          * @private
-         * @property {string} _generateUrl - The URL used to generate a new CSRF token, retrieved from the global router configuration (`window.router['router.csrf.generateToken']`).
+         * @property {Map<string, Promise<HttpResponse>>} _sharedRequests - The running GET requests, shared by identical requests.
+         */
+        this._sharedRequests = new Map();
+
+        /**
+         * @property {{request: InterceptorManager, response: InterceptorManager}} interceptors - Hooks which run
+         * before a request is prepared (receiving the request config) and after it has finished (receiving the `HttpResponse`).
          */
-        this._generateUrl = window.router['router.csrf.generateToken'];
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager(),
+        };
     }
 
     /**
@@ -45,13 +239,12 @@ export default class HttpClient {
      * @param {string} url
      * @param {function} callback
      * @param {string} contentType
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout` or `onDownloadProgress`
      *
-     * @returns {XMLHttpRequest}
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
      */
-    get(url, callback, contentType = 'application/json') {
-        const request = this._createPreparedRequest('GET', url, contentType);
-
-        return this._sendRequest(request, null, callback);
+    get(url, callback, contentType = 'application/json', options = {}) {
+        return this._requestWithCallback(this._createConfig('GET', url, null, contentType, false, options), callback);
     }
 
     /**
@@ -62,35 +255,19 @@ export default class HttpClient {
      * @param {function} callback
      * @param {string} contentType
      * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout` or `onUploadProgress`
      *
-     * @returns {XMLHttpRequest}
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
      */
     post(
         url,
         data,
         callback,
         contentType = 'application/json',
-        csrfProtected = true
+        csrfProtected = true,
+        options = {}
     ) {
-        contentType = this._getContentType(data, contentType);
-        const request = this._createPreparedRequest('POST', url, contentType);
-
-        if (csrfProtected && this._csrfEnabled && this._csrfMode === 'ajax') {
-            this.fetchCsrfToken((csrfToken) => {
-                if (data instanceof FormData) {
-                    data.append('_csrf_token', csrfToken);
-                } else {
-                    data = JSON.parse(data);
-                    data['_csrf_token'] = csrfToken;
-                    data = JSON.stringify(data);
-                }
-
-                return this._sendRequest(request, data, callback);
-            });
-            return request;
-        }
-
-        return this._sendRequest(request, data, callback);
+        return this._requestWithCallback(this._createConfig('POST', url, data, contentType, csrfProtected, options), callback);
     }
 
 
@@ -101,19 +278,20 @@ export default class HttpClient {
      * @param {object|null} data
      * @param {function} callback
      * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout` or `onUploadProgress`
      *
-     * @returns {XMLHttpRequest}
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
      */
     delete(
         url,
         data,
         callback,
-        contentType = 'application/json'
+        contentType = 'application/json',
+        csrfProtected = true,
+        options = {}
     ) {
-        contentType = this._getContentType(data, contentType);
-        const request = this._createPreparedRequest('DELETE', url, contentType);
-
-        return this._sendRequest(request, data, callback);
+        return this._requestWithCallback(this._createConfig('DELETE', url, data, contentType, csrfProtected, options), callback);
     }
 
     /**
@@ -123,107 +301,1447 @@ export default class HttpClient {
      * @param {object|null} data
      * @param {function} callback
      * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout` or `onUploadProgress`
      *
-     * @returns {XMLHttpRequest}
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
      */
     patch(
         url,
         data,
         callback,
-        contentType = 'application/json'
+        contentType = 'application/json',
+        csrfProtected = true,
+        options = {}
     ) {
-        contentType = this._getContentType(data, contentType);
-        const request = this._createPreparedRequest('PATCH', url, contentType);
+        return this._requestWithCallback(this._createConfig('PATCH', url, data, contentType, csrfProtected, options), callback);
+    }
 
-        return this._sendRequest(request, data, callback);
+    /**
+     * Request PUT
+     *
+     * @param {string} url
+     * @param {object|null} data
+     * @param {function} callback
+     * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout` or `onUploadProgress`
+     *
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
+     */
+    put(
+        url,
+        data,
+        callback,
+        contentType = 'application/json',
+        csrfProtected = true,
+        options = {}
+    ) {
+        return this._requestWithCallback(this._createConfig('PUT', url, data, contentType, csrfProtected, options), callback);
     }
 
     /**
-     * Abort running Request
+     * Request HEAD
      *
-     * @returns {*}
+     * @param {string} url
+     * @param {function} callback
+     * @param {object} options - The options of the request, e.g. `params`, `signal` or `timeout`
+     *
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
      */
-    abort() {
-        if (this._request) {
-            return this._request.abort();
-        }
+    head(url, callback, options = {}) {
+        return this._requestWithCallback(this._createConfig('HEAD', url, null, false, false, options), callback);
     }
 
     /**
-     * @private
-     * Register event listener, which executes the given callback, when the request has finished
+     * Request OPTIONS
      *
-     * @param {XMLHttpRequest} request
+     * @param {string} url
      * @param {function} callback
+     * @param {object} options - The options of the request, e.g. `params`, `signal` or `timeout`
+     *
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
      */
-    _registerOnLoaded(request, callback) {
-        if (!callback) {
-            return;
-        }
+    options(url, callback, options = {}) {
+        return this._requestWithCallback(this._createConfig('OPTIONS', url, null, false, false, options), callback);
+    }
 
-        request.addEventListener('loadend', () => {
-            callback(request.responseText, request);
-        });
+    /**
+     * Request GET, returning a Promise
+     *
+     * @param {string} url
+     * @param {string} contentType
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout`, `responseType` or `onUploadProgress`
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    getAsync(url, contentType = 'application/json', options = {}) {
+        return this._dispatch(this._createContext(this._createConfig('GET', url, null, contentType, false, options)));
     }
 
-    _sendRequest(request, data, callback) {
-        this._registerOnLoaded(request, callback);
-        request.send(data);
-        return request;
+    /**
+     * Request POST, returning a Promise
+     *
+     * @param {string} url
+     * @param {object|null} data
+     * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout`, `responseType` or `onUploadProgress`
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    postAsync(
+        url,
+        data,
+        contentType = 'application/json',
+        csrfProtected = true,
+        options = {}
+    ) {
+        return this._dispatch(this._createContext(this._createConfig('POST', url, data, contentType, csrfProtected, options)));
     }
 
-    fetchCsrfToken(callback) {
-        return this.post(
-            this._generateUrl,
-            null,
-            response => callback(JSON.parse(response)['token']),
-            'application/json',
-            false
-        );
+    /**
+     * Request DELETE, returning a Promise
+     *
+     * @param {string} url
+     * @param {object|null} data
+     * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout`, `responseType` or `onUploadProgress`
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    deleteAsync(
+        url,
+        data,
+        contentType = 'application/json',
+        csrfProtected = true,
+        options = {}
+    ) {
+        return this._dispatch(this._createContext(this._createConfig('DELETE', url, data, contentType, csrfProtected, options)));
     }
 
     /**
-     * @private
-     * Returns the appropriate content type for the request
+     * Request PATCH, returning a Promise
      *
-     * @param {*} data
+     * @param {string} url
+     * @param {object|null} data
      * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout`, `responseType` or `onUploadProgress`
      *
-     * @returns {string|boolean}
+     * @returns {Promise<HttpResponse>}
      */
-    _getContentType(data, contentType) {
+    patchAsync(
+        url,
+        data,
+        contentType = 'application/json',
+        csrfProtected = true,
+        options = {}
+    ) {
+        return this._dispatch(this._createContext(this._createConfig('PATCH', url, data, contentType, csrfProtected, options)));
+    }
 
-        // when sending form data,
-        // the content-type has to be automatically set,
-        // to use the correct content-disposition
-        // https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Disposition
-        if (data instanceof FormData) {
-            contentType = false;
-        }
+    /**
+     * Request PUT, returning a Promise
+     *
+     * @param {string} url
+     * @param {object|null} data
+     * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options - The options of the request, e.g. `signal`, `timeout`, `responseType` or `onUploadProgress`
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    putAsync(
+        url,
+        data,
+        contentType = 'application/json',
+        csrfProtected = true,
+        options = {}
+    ) {
+        return this._dispatch(this._createContext(this._createConfig('PUT', url, data, contentType, csrfProtected, options)));
+    }
 
-        return contentType;
+    /**
+     * Request HEAD, returning a Promise
+     *
+     * @param {string} url
+     * @param {object} options - The options of the request, e.g. `params`, `signal` or `timeout`
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    headAsync(url, options = {}) {
+        return this._dispatch(this._createContext(this._createConfig('HEAD', url, null, false, false, options)));
     }
 
     /**
-     * @private
-     * Returns a new and configured XMLHttpRequest object
+     * Request OPTIONS, returning a Promise
      *
-     * @param {'GET'|'POST'|'DELETE'|'PATCH'} type
      * @param {string} url
-     * @param {string} contentType
+     * @param {object} options - The options of the request, e.g. `params`, `signal` or `timeout`
      *
-     * @returns {XMLHttpRequest}
+     * @returns {Promise<HttpResponse>}
+     */
+    optionsAsync(url, options = {}) {
+        return this._dispatch(this._createContext(this._createConfig('OPTIONS', url, null, false, false, options)));
+    }
+
+    /**
+     * Sends a request with any method, returning a Promise
+     *
+     * @example
+     * client.request('GET', '/api/products', { params: { ids: [1, 2], filter: { color: 'red' } } });
+     * client.request('PUT', '/api/cart/1', { data: { quantity: 2 } });
+     *
+     * @param {string} method
+     * @param {string} url
+     * @param {object} options - The options of the request, see `_createConfig()`, and additionally:
+     * @param {*} [options.data = null] - The request body
+     * @param {string|boolean} [options.contentType = 'application/json'] - The content type of the body
+     * @param {boolean} [options.csrfProtected] - Defaults to `true` for all methods except GET, HEAD and OPTIONS
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    request(method, url, options = {}) {
+        const verb = method.toUpperCase();
+        const safe = ['GET', 'HEAD', 'OPTIONS'].indexOf(verb) !== -1;
+        const data = typeof options.data === 'undefined' ? null : options.data;
+        const contentType = typeof options.contentType === 'undefined' ? 'application/json' : options.contentType;
+        const csrfProtected = typeof options.csrfProtected === 'boolean' ? options.csrfProtected : !safe;
+
+        return this._dispatch(this._createContext(this._createConfig(verb, url, data, contentType, csrfProtected, options)));
+    }
+
+    /**
+     * Reads a streaming response while it arrives, see `HttpStream`
+     *
+     * @example
+     * client.stream('/api/orders/42/status', { format: 'sse', onMessage: event => render(event.data) });
+     *
+     * @param {string} url
+     * @param {object} options - The options of the stream and of the request, e.g. `format`, `onMessage` or `params`
+     *
+     * @returns {HttpStream}
+     */
+    stream(url, options = {}) {
+        return new HttpStream(this, url, options);
+    }
+
+    /**
+     * Sets the policy used to retry failed requests. Passing `null` disables retries.
+     * A single request may overrule it by setting `config.retry` (a policy, its options or `false`) in a request interceptor.
+     *
+     * @param {RetryPolicy|object|null} policy - A policy or the options to create one
+     */
+    setRetryPolicy(policy) {
+        this._retryPolicy = HttpClient._toRetryPolicy(policy);
+    }
+
+    /**
+     * Sets the timeout in ms applied to every request which doesn't define its own, `0` disables it
+     *
+     * @param {number} timeout
+     */
+    setDefaultTimeout(timeout) {
+        this._timeout = timeout;
+    }
+
+    /**
+     * Removes all cached responses whose URL starts with the given prefix, e.g. after a mutation.
+     * Relative prefixes are resolved against the base URL.
+     *
+     * @param {string} prefix - Removes all responses if omitted
+     *
+     * @returns {number} the number of removed responses
+     */
+    invalidateCache(prefix = '') {
+        if (!this._cache) {
+            return 0;
+        }
+
+        return this._cache.invalidate(prefix ? this._resolveUrl(prefix) : '');
+    }
+
+    /**
+     * Creates a client and registers it under the given name, replacing a previously registered one
+     *
+     * @param {string} name
+     * @param {object} options - The options of the constructor
+     *
+     * @returns {HttpClient}
+     */
+    static createInstance(name, options = {}) {
+        const client = new HttpClient(options);
+        instances.set(name, client);
+
+        return client;
+    }
+
+    /**
+     * Returns the client registered under the given name. The default instance is created on first access.
+     *
+     * @param {string} name
+     *
+     * @returns {HttpClient}
+     */
+    static getInstance(name = DEFAULT_INSTANCE) {
+        if (!instances.has(name)) {
+            if (name !== DEFAULT_INSTANCE) {
+                throw new Error(`No HttpClient instance is registered as "${name}"`);
+            }
+
+            return HttpClient.createInstance(DEFAULT_INSTANCE);
+        }
+
+        return instances.get(name);
+    }
+
+    /**
+     * Removes the client registered under the given name and aborts its running requests
+     *
+     * @param {string} name
+     *
+     * @returns {boolean} whether a client was registered
      */
-    _createPreparedRequest(type, url, contentType) {
-        this._request = new XMLHttpRequest();
+    static removeInstance(name) {
+        if (!instances.has(name)) {
+            return false;
+        }
+
+        instances.get(name).abortAll();
+
+        return instances.delete(name);
+    }
 
-        this._request.open(type, url);
-        this._request.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+    /**
+     * Abort running Request, which is the one started most recently
+     *
+     * @returns {*}
+     */
+    abort() {
+        if (this._lastContext) {
+            return this._lastContext.controller.abort();
+        }
+    }
+
+    /**
+     * Aborts all running requests of this client, e.g. when the page is torn down
+     */
+    abortAll() {
+        this._pendingContexts.forEach(context => context.controller.abort());
+    }
+
+    /**
+     * Sends the mutations stored in the offline queue, in the order they were made
+     *
+     * @returns {Promise<{replayed: number, conflicts: number, failed: number, pending: number}|null>} the outcome,
+     * `null` without offline queue
+     */
+    replayOfflineQueue() {
+        if (!this._offlineQueue) {
+            return Promise.resolve(null);
+        }
+
+        return this._offlineQueue.replay(entry => this._replayOfflineEntry(entry));
+    }
+
+    /**
+     * Fetches a new CSRF token and passes it to the callback, or `null` if no token could be fetched
+     *
+     * @param {function(string|null, XMLHttpRequest)} callback
+     *
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
+     */
+    fetchCsrfToken(callback) {
+        const config = this._createConfig('POST', this._csrf.tokenUrl, null, 'application/json', false, { offline: false });
+        const context = this._createContext(config);
+
+        this._fetchCsrfToken(context).then(token => callback(token, context.request)).catch(HttpClient._rethrow);
+
+        return HttpClient._bindAbort(context);
+    }
+
+    /**
+     * @private
+     * Returns the config describing a request, which is passed through the request interceptors
+     *
+     * @param {string} method
+     * @param {string} url
+     * @param {*} data
+     * @param {string} contentType
+     * @param {boolean} csrfProtected
+     * @param {object} options
+     * @param {Object<string, string>} [options.headers] - Added to the default headers of the client
+     * @param {object|URLSearchParams} [options.params] - Appended to the query of the URL, nested objects and arrays
+     * are supported
+     * @param {'brackets'|'repeat'} [options.paramsStyle] - Overrules how the client writes arrays of `params`
+     * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+     * @param {number} [options.timeout] - Overrules the default timeout
+     * @param {RetryPolicy|object|boolean} [options.retry] - Overrules the retry policy of the client
+     * @param {'auto'|'json'|'text'|'blob'|'arraybuffer'} [options.responseType = 'auto'] - How the body is decoded
+     * @param {function(number): boolean} [options.validateStatus] - Decides which status codes are successful, defaults to 2xx
+     * @param {{ttl: number}|boolean} [options.cache] - `false` bypasses the response cache, `ttl` overrules its TTL
+     * @param {string|string[]} [options.invalidate] - The URL prefixes removed from the response cache after a
+     * successful mutation, defaults to the URL of the request without query. Relative prefixes are resolved against the
+     * base URL.
+     * @param {object} [options.transportOptions] - Passed to the `setOptions()` method of the transport's request
+     * object, e.g. `{ keepalive: true }` for the `FetchTransport`
+     * @param {function(object)} [options.onUploadProgress] - Receives the progress of the request body as
+     * `{loaded, total, percent, lengthComputable, method, url}`, where `percent` is `null` if the total is unknown
+     * @param {function(object)} [options.onDownloadProgress] - Receives the progress of the response body
+     * @param {function(string)} [options.onChunk] - Receives every newly arrived part of a text response
+     * @param {'high'|'normal'|'low'} [options.priority = 'normal'] - The priority in the queue of the scheduler
+     * @param {boolean} [options.schedule = true] - `false` sends the request past the scheduler, e.g. for long-lived
+     * connections which would hold a slot for good
+     * @param {boolean} [options.offline = true] - `false` keeps the mutation out of the offline queue
+     *
+     * @returns {object}
+     */
+    _createConfig(method, url, data, contentType, csrfProtected = false, options = {}) {
+        return {
+            method,
+            url: this._resolveUrl(QueryString.append(url, options.params || null, options.paramsStyle || this._paramsStyle)),
+            data,
+            contentType: this._getContentType(data, contentType),
+            headers: Object.assign({}, this._headers, options.headers),
+            csrfProtected,
+            retry: typeof options.retry === 'undefined' ? null : options.retry,
+            signal: options.signal || null,
+            timeout: typeof options.timeout === 'number' ? options.timeout : null,
+            responseType: options.responseType || 'auto',
+            validateStatus: options.validateStatus || null,
+            cache: typeof options.cache === 'undefined' ? true : options.cache,
+            invalidate: options.invalidate ? [].concat(options.invalidate).map(prefix => this._resolveUrl(prefix)) : null,
+            transportOptions: options.transportOptions || null,
+            onUploadProgress: options.onUploadProgress || null,
+            onDownloadProgress: options.onDownloadProgress || null,
+            onChunk: options.onChunk || null,
+            priority: options.priority || 'normal',
+            schedule: options.schedule !== false,
+            offline: options.offline !== false,
+        };
+    }
+
+    /**
+     * @private
+     * Returns the context which follows a request through all of its attempts. Aborting its controller,
+     * directly or through the signal of the config, cancels the attempt which is currently running. `release()`
+     * detaches the context from the signal once the request is done, so a long-lived signal doesn't keep it alive.
+     *
+     * @param {object} config
+     *
+     * @returns {{config: object, controller: AbortController, request: XMLHttpRequest, release: function()}}
+     */
+    _createContext(config) {
+        const context = {
+            config,
+            controller: new AbortController(),
+            request: this._createRequest(),
+            release: () => {},
+        };
+
+        if (config.signal) {
+            const signal = config.signal;
+            const abort = () => context.controller.abort();
+
+            if (signal.aborted) {
+                abort();
+            } else {
+                signal.addEventListener('abort', abort, { once: true });
+                context.release = () => signal.removeEventListener('abort', abort);
+            }
+        }
+
+        context.controller.signal.addEventListener('abort', () => HttpClient._abortRequest(context.request), { once: true });
+
+        return context;
+    }
+
+    /**
+     * @private
+     * Dispatches the request and passes the outcome to the callback. Failed requests additionally receive the
+     * `RequestError` as third argument. Unless the caller chose a response type, the body is received as text,
+     * which keeps `responseText` of the request readable for the callback. Errors thrown by the callback are
+     * thrown again outside of the Promise chain, like errors of an event handler.
+     *
+     * @param {object} config
+     * @param {function(string, XMLHttpRequest, RequestError=)} callback
+     *
+     * @returns {XMLHttpRequest} the first request object, its `abort()` cancels the request at any stage
+     */
+    _requestWithCallback(config, callback) {
+        if (config.responseType === 'auto') {
+            config.responseType = 'text';
+        }
+
+        const context = this._createContext(config);
+
+        this._dispatch(context).then((response) => {
+            if (callback) {
+                callback(response.text, response.request);
+            }
+        }, (error) => {
+            if (callback) {
+                const failedRequest = error.request || context.request;
+                callback(failedRequest.responseText, failedRequest, error);
+            }
+        }).catch(HttpClient._rethrow);
+
+        return HttpClient._bindAbort(context);
+    }
+
+    /**
+     * @private
+     * Runs the request through the interceptors, the CSRF protection and the network
+     *
+     * @param {object} context
+     * @param {boolean} track - Whether the request can be cancelled through `abort()` and `abortAll()`
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _dispatch(context, track = true) {
+        if (this._offlineQueue && context.config.offline && this._offlineQueue.accepts(context.config)) {
+            return this._dispatchOffline(context, track);
+        }
+
+        if (track) {
+            this._lastContext = context;
+            this._pendingContexts.add(context);
+        }
+
+        const configured = this.interceptors.request.run(Promise.resolve(context.config))
+            .then((config) => {
+                context.config = config;
+            });
+
+        // scheduled right away, so the request can be cancelled through the scheduler before the interceptors ran
+        const response = this._scheduleRequest(context, () => configured.then(() => this._sendThroughCache(context)));
+
+        const settle = () => {
+            context.release();
+            this._pendingContexts.delete(context);
+
+            if (this._lastContext === context) {
+                this._lastContext = null;
+            }
+        };
+
+        return this.interceptors.response.run(response).then((response) => {
+            settle();
+            return response;
+        }, (error) => {
+            settle();
+            throw error;
+        });
+    }
+
+    /**
+     * @private
+     * Dispatches a mutation which is stored in the offline queue if it can't reach the server. While the browser
+     * is offline it isn't sent at all, while mutations are pending it is sent after them, or queued behind them if
+     * they still can't be sent. The request is stored as it was before the interceptors ran and without the default
+     * headers of the client, both are applied again when it is replayed.
+     *
+     * @param {object} context
+     * @param {boolean} track
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _dispatchOffline(context, track) {
+        const queue = this._offlineQueue;
+        // the default headers of the client are added again on replay, they may contain credentials
+        const config = Object.assign({}, context.config, { headers: this._getRequestHeaders(context.config) });
+
+        const enqueue = (error) => {
+            const entry = queue.enqueue(config);
+
+            context.release();
+
+            if (!entry) {
+                throw error;
+            }
+
+            throw new OfflineError(entry, context.request, context.config);
+        };
+
+        if (!queue.isOnline()) {
+            return Promise.resolve(new NetworkError(context.request, context.config)).then(enqueue);
+        }
+
+        // the mutations queued before have to reach the server first, so it receives all of them in order
+        const replay = queue.size > 0 ? this.replayOfflineQueue() : Promise.resolve(null);
+
+        return replay.then(() => {
+            if (queue.size > 0) {
+                return enqueue(new NetworkError(context.request, context.config));
+            }
+
+            context.config.offline = false;
+
+            return this._dispatch(context, track).catch((error) => {
+                if (!(error instanceof NetworkError)) {
+                    throw error;
+                }
+
+                return enqueue(error);
+            });
+        });
+    }
+
+    /**
+     * @private
+     * Sends an entry of the offline queue
+     *
+     * @param {object} entry
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _replayOfflineEntry(entry) {
+        const data = this._offlineQueue.restoreData(entry);
+        const config = this._createConfig(entry.method, entry.url, data, entry.contentType, entry.csrfProtected, {
+            headers: entry.headers,
+            offline: false,
+        });
+
+        // the stored URL is already resolved against the base URL
+        config.url = entry.url;
+
+        return this._dispatch(this._createContext(config));
+    }
+
+    /**
+     * @private
+     * Serves GET requests from the response cache and shares running GET requests between identical requests.
+     * Stale entries are revalidated with a conditional request. Successful mutations invalidate the cached
+     * responses of their URL. Requests with progress callbacks are sent on their own, since only the callbacks of
+     * the request sending a shared request would be called.
+     *
+     * @param {object} context
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _sendThroughCache(context) {
+        const config = context.config;
+
+        if (!this._cache || config.cache === false) {
+            return this._sendAttempt(context, 1);
+        }
+
+        if (config.method !== 'GET') {
+            return this._sendAttempt(context, 1).then((response) => {
+                if (config.method !== 'HEAD' && config.method !== 'OPTIONS') {
+                    // the prefixes are resolved against the base URL already
+                    [].concat(config.invalidate || config.url.split('?')[0]).forEach(prefix => this._cache.invalidate(prefix));
+                }
+
+                return response;
+            });
+        }
+
+        const cacheKey = this._getCacheKey(config);
+        const entry = this._cache.get(cacheKey);
+        const ttl = config.cache && typeof config.cache.ttl === 'number' ? config.cache.ttl : this._cache.ttl;
+
+        if (entry && ResponseCache.isFresh(entry)) {
+            return Promise.resolve(this._cache.toResponse(entry, config));
+        }
+
+        if (config.onDownloadProgress || config.onChunk) {
+            return this._sendShared(config, cacheKey, entry, ttl, context);
+        }
+
+        // the timeout and the priority of the waiting requests must match the ones of the shared request
+        const key = `${config.responseType} ${config.timeout} ${config.priority} ${cacheKey}`;
+
+        if (!this._sharedRequests.has(key)) {
+            this._sharedRequests.set(key, this._sendShared(config, cacheKey, entry, ttl).then((response) => {
+                this._sharedRequests.delete(key);
+                return response;
+            }, (error) => {
+                this._sharedRequests.delete(key);
+                throw error;
+            }));
+        }
+
+        return HttpClient._untilAborted(this._sharedRequests.get(key), context)
+            .then(response => response.clone(config));
+    }
+
+    /**
+     * @private
+     * Sends a GET request on behalf of all identical requests. Unless a context is given, it has a context of its
+     * own, so cancelling one of the waiting requests doesn't cancel it for the others.
+     *
+     * @param {object} config
+     * @param {string} cacheKey
+     * @param {object|null} entry - The stale cache entry to revalidate
+     * @param {number} ttl
+     * @param {object|null} ownContext - The context of a request which isn't shared
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _sendShared(config, cacheKey, entry, ttl, ownContext = null) {
+        const context = ownContext || this._createContext(Object.assign({}, config, { signal: null }));
+
+        // the conditional headers aren't part of the cache key
+        context.config.headers = Object.assign({}, config.headers);
+
+        if (entry && entry.etag) {
+            context.config.headers['If-None-Match'] = entry.etag;
+        }
+
+        if (entry && entry.lastModified) {
+            context.config.headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        const notModified = response => entry && response.status === 304;
+        const revalidated = () => this._cache.toResponse(this._cache.touch(cacheKey, ttl) || entry, config);
+
+        return this._sendAttempt(context, 1).then((response) => {
+            if (notModified(response)) {
+                return revalidated();
+            }
+
+            this._cache.set(cacheKey, response, ttl);
+
+            return response;
+        }, (error) => {
+            if (error instanceof HttpError && notModified(error.response)) {
+                return revalidated();
+            }
+
+            throw error;
+        });
+    }
+
+    /**
+     * @private
+     * Returns the headers of the config which differ from the default headers of the client
+     *
+     * @param {object} config
+     *
+     * @returns {Object<string, string>}
+     */
+    _getRequestHeaders(config) {
+        return Object.keys(config.headers)
+            .filter(name => config.headers[name] !== this._headers[name])
+            .reduce((headers, name) => Object.assign(headers, { [name]: config.headers[name] }), {});
+    }
+
+    /**
+     * @private
+     * Returns the key of the response in the cache, the URL of the request. Requests whose headers differ from the
+     * default headers of the client, e.g. by another `Authorization` or `Accept-Language`, are cached apart from
+     * each other. Only a hash of these headers is added, so no credentials end up in the keys of the storage.
+     *
+     * @param {object} config
+     *
+     * @returns {string}
+     */
+    _getCacheKey(config) {
+        const requestHeaders = this._getRequestHeaders(config);
+        const headers = Object.keys(requestHeaders)
+            .map(name => `${name.toLowerCase()}:${requestHeaders[name]}`)
+            .sort()
+            .join('\n');
+
+        if (headers === '') {
+            return config.url;
+        }
+
+        // two 32 bit hashes, which makes collisions between different credentials unlikely
+        let first = 5381;
+        let second = 52711;
+
+        for (let i = 0; i < headers.length; i++) {
+            first = Math.imul(first, 33) ^ headers.charCodeAt(i);
+            second = (Math.imul(second, 31) + headers.charCodeAt(i)) | 0;
+        }
+
+        return `${config.url} ${(first >>> 0).toString(36)}${(second >>> 0).toString(36)}`;
+    }
+
+    /**
+     * @private
+     * Sends a single attempt of the request and schedules the next one, if the retry policy asks for it.
+     * Every retry uses a freshly fetched CSRF token and a new request object. An attempt whose cached CSRF token
+     * was rejected by the server is sent once more with a fresh token.
+     *
+     * @param {object} context
+     * @param {number} attempt
+     * @param {boolean} refreshCsrfToken - Whether a cached CSRF token must not be used
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _sendAttempt(context, attempt, refreshCsrfToken = attempt > 1) {
+        const config = context.config;
+        const policy = config.retry === null ? this._retryPolicy : HttpClient._toRetryPolicy(config.retry);
+
+        return Promise.resolve(this._applyCsrfToken(context, refreshCsrfToken))
+            .then(() => this._sendRequest(context))
+            .catch((error) => {
+                if (context.cachedCsrfToken && this._isCsrfRejection(error)) {
+                    this._csrfTokens.invalidate();
+                    context.request = this._createRequest();
+
+                    return this._sendAttempt(context, attempt, true);
+                }
+
+                if (!policy || !policy.shouldRetry(attempt, config.method, error)) {
+                    throw error;
+                }
+
+                const signal = context.controller.signal;
+
+                return RetryPolicy.wait(policy.getDelay(attempt, error), signal).then(() => {
+                    // the wait ends early when the request is aborted, no further attempt is started then
+                    if (signal.aborted) {
+                        throw new AbortError(context.request, config);
+                    }
+
+                    context.request = this._createRequest();
+
+                    return this._sendAttempt(context, attempt + 1);
+                });
+            });
+    }
+
+    /**
+     * @private
+     * Runs the task once the scheduler has a free slot for the request. The request is queued with the URL and the
+     * priority it was created with, before the interceptors ran, and holds its slot through all of its attempts.
+     * A request cancelled while it is queued fails with an `AbortError`.
+     *
+     * @param {object} context
+     * @param {function(): Promise<HttpResponse>} task - Sends the request
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _scheduleRequest(context, task) {
+        if (!this._scheduler || context.config.schedule === false) {
+            return task();
+        }
+
+        const { config, controller } = context;
+        const options = { url: config.url, priority: config.priority, signal: controller.signal };
+
+        return this._scheduler.schedule(task, options).catch((error) => {
+            // errors of the scheduler itself don't know the request yet
+            if (error instanceof AbortError && !error.request) {
+                throw new AbortError(context.request, config);
+            }
+
+            throw error;
+        });
+    }
+
+    /**
+     * @private
+     * Sends the prepared request and resolves once it has finished.
+     * Requests which received no successful response are rejected with the matching `RequestError`.
+     *
+     * @param {object} context
+     *
+     * @returns {Promise<HttpResponse>}
+     */
+    _sendRequest(context) {
+        const { request, config } = context;
+
+        return new Promise((resolve, reject) => {
+            if (context.controller.signal.aborted) {
+                return reject(new AbortError(request, config));
+            }
+
+            this._prepareRequest(request, config);
+
+            const timeout = config.timeout === null ? this._timeout : config.timeout;
+            let timer = null;
+            let timedOut = false;
+            let aborted = false;
+
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    HttpClient._abortRequest(request);
+                }, timeout);
+            }
+
+            request.addEventListener('abort', () => {
+                aborted = true;
+            });
+
+            request.addEventListener('loadend', () => {
+                clearTimeout(timer);
+
+                if (timedOut) {
+                    return reject(new TimeoutError(timeout, request, config));
+                }
+
+                if (aborted) {
+                    return reject(new AbortError(request, config));
+                }
+
+                if (request.status === 0) {
+                    return reject(new NetworkError(request, config));
+                }
+
+                const response = new HttpResponse(request, config);
+                const successful = config.validateStatus ? config.validateStatus(response.status) : response.ok;
+
+                if (!successful) {
+                    return reject(new HttpError(response));
+                }
+
+                resolve(response);
+            });
+
+            request.send(HttpClient._serializeData(config));
+        });
+    }
+
+    /**
+     * @private
+     * Fetches a new CSRF token through the given context
+     *
+     * @param {object} context
+     * @param {boolean} track
+     *
+     * @returns {Promise<string|null>}
+     */
+    _fetchCsrfToken(context, track = true) {
+        if (!context.config.url) {
+            return Promise.resolve(null);
+        }
+
+        context.config.responseType = 'json';
+
+        return this._dispatch(context, track).then((response) => {
+            return response.data && response.data['token'] ? response.data['token'] : null;
+        }, () => null);
+    }
+
+    /**
+     * @private
+     * Adds a CSRF token to the request, if the request is protected. The token is taken from the cache unless
+     * `refresh` is set. A token request is shared by all requests waiting for a token, so it isn't cancelled
+     * together with one of them.
+     *
+     * @param {object} context
+     * @param {boolean} refresh - Whether a cached token must not be used
+     *
+     * @returns {Promise<void>|undefined}
+     */
+    _applyCsrfToken(context, refresh = false) {
+        const config = context.config;
+        const csrf = this._csrf;
+
+        context.cachedCsrfToken = false;
+
+        if (!config.csrfProtected || csrf.strategy === CSRF_STRATEGY.NONE) {
+            return;
+        }
+
+        if (csrf.strategy === CSRF_STRATEGY.CUSTOM) {
+            return Promise.resolve(csrf.provider(config)).then(() => undefined);
+        }
+
+        context.cachedCsrfToken = !refresh && this._csrfTokens.hasToken();
+
+        return this._csrfTokens.get(() => {
+            // the request waiting for the token may hold the last slot of the scheduler already
+            const tokenConfig = this._createConfig('POST', csrf.tokenUrl, null, 'application/json', false, {
+                offline: false,
+                schedule: false,
+            });
+            const tokenContext = this._createContext(tokenConfig);
+
+            return this._fetchCsrfToken(tokenContext, false);
+        }, refresh).then((csrfToken) => {
+
+            // let the attempt report the abort instead
+            if (context.controller.signal.aborted) {
+                return;
+            }
+
+            if (csrfToken === null) {
+                throw new RequestError('No CSRF token could be fetched', context.request, config);
+            }
+
+            this._injectCsrfToken(config, csrfToken);
+        });
+    }
+
+    /**
+     * @private
+     * Adds the CSRF token to the header or the body of the request, depending on the strategy.
+     * Bodies which can't carry the token (e.g. a `Blob` or a JSON array) send it as header instead.
+     *
+     * @param {object} config
+     * @param {string} csrfToken
+     */
+    _injectCsrfToken(config, csrfToken) {
+        const { strategy, fieldName, headerName } = this._csrf;
+        const data = config.data;
+        const urlEncoded = HttpClient._isUrlEncoded(config.contentType);
+
+        if (strategy === CSRF_STRATEGY.HEADER) {
+            config.headers[headerName] = csrfToken;
+            return;
+        }
+
+        // `set` instead of `append`, a retried request already contains the previous token
+        if (data instanceof FormData || data instanceof URLSearchParams) {
+            data.set(fieldName, csrfToken);
+            return;
+        }
+
+        if (HttpClient._isPlainObject(data)) {
+            config.data = Object.assign({}, data, { [fieldName]: csrfToken });
+            return;
+        }
+
+        if (data === null || typeof data === 'undefined' || data === '') {
+            config.data = urlEncoded
+                ? new URLSearchParams({ [fieldName]: csrfToken }).toString()
+                : JSON.stringify({ [fieldName]: csrfToken });
+            return;
+        }
+
+        if (typeof data === 'string' && urlEncoded) {
+            const params = new URLSearchParams(data);
+            params.set(fieldName, csrfToken);
+            config.data = params.toString();
+            return;
+        }
+
+        if (typeof data === 'string') {
+            try {
+                const parsed = JSON.parse(data);
+
+                if (HttpClient._isPlainObject(parsed)) {
+                    parsed[fieldName] = csrfToken;
+                    config.data = JSON.stringify(parsed);
+                    return;
+                }
+            } catch (e) {
+                // not a JSON object, falls back to the header
+            }
+        }
+
+        config.headers[headerName] = csrfToken;
+    }
+
+    /**
+     * @private
+     * Returns whether the error tells that the server rejected the CSRF token of a protected request
+     *
+     * @param {Error} error
+     *
+     * @returns {boolean}
+     */
+    _isCsrfRejection(error) {
+        return error instanceof HttpError && this._csrf.rejectionStatus.indexOf(error.status) !== -1;
+    }
+
+    /**
+     * @private
+     * Returns the appropriate content type for the request
+     *
+     * @param {*} data
+     * @param {string} contentType
+     *
+     * @returns {string|boolean}
+     */
+    _getContentType(data, contentType) {
+
+        // when sending form data,
+        // the content-type has to be automatically set,
+        // to use the correct content-disposition
+        // https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Disposition
+        if (data instanceof FormData) {
+            contentType = false;
+        }
+
+        if (data instanceof URLSearchParams) {
+            contentType = 'application/x-www-form-urlencoded;charset=UTF-8';
+        }
+
+        return contentType;
+    }
+
+    /**
+     * @private
+     * Prepends the base URL to relative URLs
+     *
+     * @param {string} url
+     *
+     * @returns {string}
+     */
+    _resolveUrl(url) {
+        if (!this._baseURL || typeof url !== 'string' || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+            return url;
+        }
+
+        return `${this._baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    }
+
+    /**
+     * @private
+     * Makes `abort()` of the current request object cancel the whole context. The request is dispatched
+     * asynchronously and may be replaced by a retry, so aborting only the object itself would miss it.
+     * The original `abort()` is kept as `$abort`.
+     *
+     * @param {object} context
+     *
+     * @returns {XMLHttpRequest}
+     */
+    static _bindAbort(context) {
+        const request = context.request;
+
+        request.$abort = request.abort;
+        request.abort = () => context.controller.abort();
+
+        return request;
+    }
+
+    /**
+     * @private
+     * Throws the error of a callback outside of the Promise chain, so it isn't swallowed as unhandled rejection
+     *
+     * @param {Error} error
+     */
+    static _rethrow(error) {
+        setTimeout(() => {
+            throw error;
+        });
+    }
+
+    /**
+     * @private
+     * Aborts the request object itself, also if `_bindAbort()` replaced its `abort()`
+     *
+     * @param {XMLHttpRequest} request
+     */
+    static _abortRequest(request) {
+        (request.$abort || request.abort).call(request);
+    }
+
+    /**
+     * @private
+     * Returns a new request object of the transport
+     *
+     * @returns {XMLHttpRequest}
+     */
+    _createRequest() {
+        return this._transport.createRequest();
+    }
+
+    /**
+     * @private
+     * Opens the request and sets its headers and response type based on the given config
+     *
+     * @param {XMLHttpRequest} request
+     * @param {{method: string, url: string, contentType: string|boolean, headers: Object<string, string>, responseType: string}} config
+     *
+     * @returns {XMLHttpRequest}
+     */
+    _prepareRequest(request, config) {
+        request.open(config.method, config.url);
+
+        if (config.transportOptions && typeof request.setOptions === 'function') {
+            request.setOptions(config.transportOptions);
+        }
+
+        this._observeProgress(request, config);
+        this._observeChunks(request, config);
+
+        if (config.responseType === 'blob' || config.responseType === 'arraybuffer') {
+            request.responseType = config.responseType;
+        }
+
+        // the response type can still be changed once the headers arrived,
+        // which allows to receive binary content types as Blob
+        if (config.responseType === 'auto') {
+            request.addEventListener('readystatechange', () => {
+                if (request.readyState === 2 && !HttpResponse.isTextContentType(request.getResponseHeader('Content-Type'))) {
+                    request.responseType = 'blob';
+                }
+            });
+        }
+
+        request.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+
+        if (config.contentType) {
+            request.setRequestHeader('Content-type', config.contentType);
+        }
+
+        Object.keys(config.headers).forEach((name) => {
+            request.setRequestHeader(name, config.headers[name]);
+        });
+
+        return request;
+    }
+
+    /**
+     * @private
+     * Reports the progress of the request to the callbacks of the config and the emitter of the client.
+     * Upload listeners are only added if needed, because they make cross-origin requests preflighted.
+     *
+     * @param {XMLHttpRequest} request
+     * @param {object} config
+     */
+    _observeProgress(request, config) {
+        const observe = (target, eventName, callback) => {
+            if (!callback && !this._emitter) {
+                return;
+            }
+
+            target.addEventListener('progress', (event) => {
+                const progress = HttpClient._createProgress(event, config);
+
+                if (callback) {
+                    callback(progress);
+                }
+
+                if (this._emitter) {
+                    this._emitter.publish(eventName, progress);
+                }
+            });
+        };
+
+        if (request.upload && config.data !== null && typeof config.data !== 'undefined') {
+            observe(request.upload, PROGRESS_EVENT.UPLOAD, config.onUploadProgress);
+        }
+
+        observe(request, PROGRESS_EVENT.DOWNLOAD, config.onDownloadProgress);
+    }
+
+    /**
+     * @private
+     * Passes every newly arrived part of a text response to the `onChunk` callback of the config
+     *
+     * @param {XMLHttpRequest} request
+     * @param {object} config
+     */
+    _observeChunks(request, config) {
+        if (!config.onChunk) {
+            return;
+        }
+
+        let offset = 0;
+
+        const read = () => {
+            if (request.responseType !== '' && request.responseType !== 'text') {
+                return;
+            }
+
+            const text = request.responseText || '';
+
+            if (text.length > offset) {
+                const chunk = text.slice(offset);
+                offset = text.length;
+                config.onChunk(chunk);
+            }
+        };
+
+        request.addEventListener('progress', read);
+        request.addEventListener('load', read);
+    }
+
+    /**
+     * @private
+     * @param {ProgressEvent} event
+     * @param {object} config
+     *
+     * @returns {{loaded: number, total: number, percent: number|null, lengthComputable: boolean, method: string, url: string}}
+     */
+    static _createProgress(event, config) {
+        const lengthComputable = event.lengthComputable && event.total > 0;
+
+        return {
+            loaded: event.loaded,
+            total: lengthComputable ? event.total : 0,
+            percent: lengthComputable ? Math.min(100, Math.round(event.loaded / event.total * 100)) : null,
+            lengthComputable,
+            method: config.method,
+            url: config.url,
+        };
+    }
+
+    /**
+     * @private
+     * Completes the CSRF options. Without options, the global `window.csrf` and `window.router` configuration
+     * of the storefront layout is used, where only the `ajax` mode protects requests.
+     *
+     * @param {object|undefined} options
+     *
+     * @returns {{strategy: string, tokenUrl: string|null, fieldName: string, headerName: string, provider: function|null}}
+     */
+    static _createCsrfOptions(options) {
+        const csrf = Object.assign({
+            strategy: CSRF_STRATEGY.NONE,
+            tokenUrl: null,
+            fieldName: '_csrf_token',
+            headerName: 'X-CSRF-Token',
+            provider: null,
+            ttl: 300000,
+            rejectionStatus: [403, 419],
+        }, options || HttpClient._getGlobalCsrfOptions());
+
+        if (Object.values(CSRF_STRATEGY).indexOf(csrf.strategy) === -1) {
+            throw new Error(`The CSRF strategy "${csrf.strategy}" is not supported`);
+        }
+
+        if (csrf.strategy === CSRF_STRATEGY.CUSTOM && typeof csrf.provider !== 'function') {
+            throw new Error('The CSRF strategy "custom" requires a "provider" function');
+        }
+
+        if ((csrf.strategy === CSRF_STRATEGY.BODY || csrf.strategy === CSRF_STRATEGY.HEADER) && !csrf.tokenUrl) {
+            throw new Error(`The CSRF strategy "${csrf.strategy}" requires a "tokenUrl"`);
+        }
+
+        return csrf;
+    }
+
+    /**
+     * @private
+     * Reads the CSRF options from the global configuration, if the page defines it
+     *
+     * @returns {{strategy: string, tokenUrl: string|null}}
+     */
+    static _getGlobalCsrfOptions() {
+        const csrf = typeof window !== 'undefined' ? window.csrf : undefined;
+        const router = typeof window !== 'undefined' ? window.router : undefined;
+        const tokenUrl = router ? router['router.csrf.generateToken'] || null : null;
+
+        if (!csrf || !csrf.enabled || csrf.mode !== 'ajax' || !tokenUrl) {
+            return { strategy: CSRF_STRATEGY.NONE, tokenUrl };
+        }
+
+        return { strategy: CSRF_STRATEGY.BODY, tokenUrl };
+    }
+
+    /**
+     * @private
+     * Returns the body as it is sent, plain objects are encoded according to the content type
+     *
+     * @param {{data: *, contentType: string|boolean}} config
+     *
+     * @returns {*}
+     */
+    static _serializeData(config) {
+        if (!HttpClient._isPlainObject(config.data)) {
+            return config.data;
+        }
+
+        if (HttpClient._isUrlEncoded(config.contentType)) {
+            return new URLSearchParams(config.data).toString();
+        }
+
+        return JSON.stringify(config.data);
+    }
+
+    /**
+     * @private
+     * @param {*} value
+     *
+     * @returns {boolean}
+     */
+    static _isPlainObject(value) {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+
+    /**
+     * @private
+     * @param {string|boolean} contentType
+     *
+     * @returns {boolean}
+     */
+    static _isUrlEncoded(contentType) {
+        return typeof contentType === 'string' && contentType.indexOf('application/x-www-form-urlencoded') === 0;
+    }
+
+    /**
+     * @private
+     * Settles with the given Promise, or rejects as soon as the request of the context is aborted
+     *
+     * @param {Promise<*>} promise
+     * @param {object} context
+     *
+     * @returns {Promise<*>}
+     */
+    static _untilAborted(promise, context) {
+        return new Promise((resolve, reject) => {
+            const signal = context.controller.signal;
+            const abort = () => reject(new AbortError(context.request, context.config));
+
+            if (signal.aborted) {
+                return abort();
+            }
+
+            signal.addEventListener('abort', abort, { once: true });
+            promise.then(resolve, reject);
+        });
+    }
+
+    /**
+     * @private
+     * Turns the given value into a response cache, `false` and `null` disable caching
+     *
+     * @param {ResponseCache|object|boolean|null} cache
+     *
+     * @returns {ResponseCache|null}
+     */
+    static _toResponseCache(cache) {
+        if (!cache) {
+            return null;
+        }
+
+        if (cache instanceof ResponseCache) {
+            return cache;
+        }
+
+        return new ResponseCache(cache === true ? {} : cache);
+    }
+
+    /**
+     * @private
+     * Turns the given value into a scheduler, `true` returns the shared scheduler, `false` and `null` disable scheduling
+     *
+     * @param {RequestScheduler|object|boolean|null} scheduler
+     *
+     * @returns {RequestScheduler|null}
+     */
+    static _toScheduler(scheduler) {
+        if (!scheduler) {
+            return null;
+        }
+
+        if (scheduler === true) {
+            return RequestScheduler.getShared();
+        }
+
+        return scheduler instanceof RequestScheduler ? scheduler : new RequestScheduler(scheduler);
+    }
+
+    /**
+     * @private
+     * Turns the given value into a retry policy, `false` and `null` disable retries
+     *
+     * @param {RetryPolicy|object|boolean|null} policy
+     *
+     * @returns {RetryPolicy|null}
+     */
+    static _toRetryPolicy(policy) {
+        if (!policy) {
+            return null;
+        }
 
-        if (contentType) {
-            this._request.setRequestHeader('Content-type', contentType);
+        if (policy instanceof RetryPolicy) {
+            return policy;
         }
 
-        return this._request;
+        return new RetryPolicy(policy === true ? {} : policy);
     }
 }
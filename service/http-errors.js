@@ -0,0 +1,150 @@
+/**
+ * The errors a request of the `HttpClient` can fail with. Every error keeps a reference to the request object and
+ * the config it was sent with, so callers can tell the outcomes apart with `instanceof` instead of checking
+ * `request.status` by hand:
+ *
+ * - `HttpError`: the server answered with a status which isn't considered successful
+ * - `NetworkError`: no response was received, e.g. the connection dropped or CORS blocked the request
+ * - `OfflineError`: a `NetworkError` of a mutation which was stored in the `OfflineQueue` to be sent later
+ * - `TimeoutError`: no response was received within the timeout of the request
+ * - `AbortError`: the request was cancelled through `abort()`, `abortAll()` or its `AbortSignal`
+ *
+ * @example
+ * client.getAsync('/api/cart').catch((error) => {
+ *     if (error instanceof HttpError && error.status === 404) {
+ *         return null;
+ *     }
+ *     throw error;
+ * });
+ *
+ * @author Daouda Warme
+ */
+
+/**
+ * @class RequestError
+ * @description
+ * Base class of all errors of the `HttpClient`
+ */
+export class RequestError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {XMLHttpRequest|null} request - The failed request
+     * @param {object|null} config - The config the request was sent with
+     */
+    constructor(message, request = null, config = null) {
+        super(message);
+        this.name = 'RequestError';
+        this.request = request;
+        this.config = config;
+    }
+}
+
+/**
+ * @class HttpError
+ * @description
+ * The server answered with a status which isn't considered successful
+ */
+export class HttpError extends RequestError {
+
+    /**
+     * @param {HttpResponse} response
+     */
+    constructor(response) {
+        super(`The request failed with status ${response.status}`, response.request, response.config);
+        this.name = 'HttpError';
+
+        /**
+         * @property {HttpResponse} response - The received response
+         */
+        this.response = response;
+
+        /**
+         * @property {number} status - The HTTP status code
+         */
+        this.status = response.status;
+
+        /**
+         * @property {*} body - The decoded response body
+         */
+        this.body = response.data;
+    }
+}
+
+/**
+ * @class NetworkError
+ * @description
+ * The request did not receive any response
+ */
+export class NetworkError extends RequestError {
+
+    /**
+     * @param {XMLHttpRequest|null} request
+     * @param {object|null} config
+     */
+    constructor(request = null, config = null) {
+        super('The request could not reach the server', request, config);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * @class OfflineError
+ * @description
+ * The mutation could not be sent and was stored in the `OfflineQueue` instead, it is sent again once the
+ * connection is back
+ */
+export class OfflineError extends NetworkError {
+
+    /**
+     * @param {object} entry - The entry of the offline queue
+     * @param {XMLHttpRequest|null} request
+     * @param {object|null} config
+     */
+    constructor(entry, request = null, config = null) {
+        super(request, config);
+        this.message = 'The request was queued until the connection is back';
+        this.name = 'OfflineError';
+
+        /**
+         * @property {object} entry - The entry of the offline queue
+         */
+        this.entry = entry;
+    }
+}
+
+/**
+ * @class TimeoutError
+ * @description
+ * The request did not receive a response within its timeout
+ */
+export class TimeoutError extends RequestError {
+
+    /**
+     * @param {number} timeout - The timeout in ms which was exceeded
+     * @param {XMLHttpRequest|null} request
+     * @param {object|null} config
+     */
+    constructor(timeout, request = null, config = null) {
+        super(`The request timed out after ${timeout}ms`, request, config);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * @class AbortError
+ * @description
+ * The request was cancelled on purpose
+ */
+export class AbortError extends RequestError {
+
+    /**
+     * @param {XMLHttpRequest|null} request
+     * @param {object|null} config
+     */
+    constructor(request = null, config = null) {
+        super('The request was aborted', request, config);
+        this.name = 'AbortError';
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Matches the content types which are decoded as text, everything else is decoded as binary data
+ *
+ * @type {RegExp}
+ */
+const TEXT_CONTENT_TYPE = /^text\/|[/+](json|xml)\b|javascript|x-www-form-urlencoded|ndjson/i;
+
+/**
+ * Matches the content types which are decoded as JSON
+ *
+ * @type {RegExp}
+ */
+const JSON_CONTENT_TYPE = /[/+]json\b/i;
+
+/**
+ * @class HttpResponse
+ * @description
+ * HttpResponse wraps a finished request and exposes its outcome in a consistent shape: the status, the
+ * response headers, the raw response text and the decoded body. It is the value the Promise based API of
+ * the `HttpClient` resolves with.
+ *
+ * The body is decoded according to the `responseType` of the request config. With `'auto'` the response
+ * `Content-Type` decides: JSON is parsed, textual types are kept as string and any other type is received
+ * as `Blob`. `'json'`, `'text'`, `'blob'` and `'arraybuffer'` force the respective format.
+ *
+ * @author Daouda Warme
+ */
+export default class HttpResponse {
+
+    /**
+     * @param {XMLHttpRequest} request - The finished request
+     * @param {object|null} config - The config the request was sent with
+     */
+    constructor(request, config = null) {
+
+        /**
+         * @property {XMLHttpRequest} request - The underlying request object
+         */
+        this.request = request;
+
+        /**
+         * @property {object|null} config - The config the request was sent with
+         */
+        this.config = config;
+
+        /**
+         * @property {number} status - The HTTP status code, `0` when no response was received
+         */
+        this.status = request.status;
+
+        /**
+         * @property {string} statusText - The HTTP status message
+         */
+        this.statusText = request.statusText;
+
+        /**
+         * @property {boolean} ok - Whether the status is in the range 200-299
+         */
+        this.ok = this.status >= 200 && this.status < 300;
+
+        /**
+         * @property {Object<string, string>} headers - The response headers, keyed by their lower-cased name
+         */
+        this.headers = HttpResponse.parseHeaders(request.getAllResponseHeaders());
+
+        /**
+         * @property {string} text - The raw response text, empty for binary responses
+         */
+        this.text = HttpResponse.isBinary(request) ? '' : request.responseText;
+
+        /**
+         * @property {*} data - The decoded body, `null` if there is none or it could not be decoded
+         */
+        this.data = this._decode(config && config.responseType ? config.responseType : 'auto');
+
+        /**
+         * @property {boolean} fromCache - Whether the response was served by the `ResponseCache`
+         */
+        this.fromCache = false;
+    }
+
+    /**
+     * Returns a new response of the same request, decoded for the given config. Callers sharing a request
+     * each receive their own copy, so interceptors adjusting one of them don't affect the others.
+     *
+     * @param {object|null} config
+     *
+     * @returns {HttpResponse}
+     */
+    clone(config = this.config) {
+        const response = new HttpResponse(this.request, config);
+        response.fromCache = this.fromCache;
+
+        return response;
+    }
+
+    /**
+     * Returns the value of a response header, or `null` if it was not sent
+     *
+     * @param {string} name
+     *
+     * @returns {string|null}
+     */
+    getHeader(name) {
+        const value = this.headers[name.toLowerCase()];
+
+        return typeof value === 'undefined' ? null : value;
+    }
+
+    /**
+     * Returns whether a response of the given content type is decoded as text when the response type is `'auto'`
+     *
+     * @param {string|null} contentType
+     *
+     * @returns {boolean}
+     */
+    static isTextContentType(contentType) {
+        return !contentType || TEXT_CONTENT_TYPE.test(contentType);
+    }
+
+    /**
+     * Returns whether the request received its body as `Blob` or `ArrayBuffer`
+     *
+     * @param {XMLHttpRequest} request
+     *
+     * @returns {boolean}
+     */
+    static isBinary(request) {
+        return request.responseType === 'blob' || request.responseType === 'arraybuffer';
+    }
+
+    /**
+     * Parses the raw header string of `getAllResponseHeaders()` into an object
+     *
+     * @param {string|null} rawHeaders
+     *
+     * @returns {Object<string, string>}
+     */
+    static parseHeaders(rawHeaders) {
+        const headers = {};
+
+        if (!rawHeaders) {
+            return headers;
+        }
+
+        rawHeaders.trim().split(/[\r\n]+/).forEach((line) => {
+            const separator = line.indexOf(':');
+            if (separator <= 0) {
+                return;
+            }
+
+            const name = line.substring(0, separator).trim().toLowerCase();
+            const value = line.substring(separator + 1).trim();
+
+            headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+        });
+
+        return headers;
+    }
+
+    /**
+     * @private
+     * Decodes the response body
+     *
+     * @param {'auto'|'json'|'text'|'blob'|'arraybuffer'} responseType
+     *
+     * @returns {*}
+     */
+    _decode(responseType) {
+        if (HttpResponse.isBinary(this.request)) {
+            return this.request.response;
+        }
+
+        const contentType = this.getHeader('content-type');
+
+        if (responseType === 'text' || (responseType === 'auto' && !JSON_CONTENT_TYPE.test(contentType || ''))) {
+            return this.text;
+        }
+
+        if (!this.text) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(this.text);
+        } catch (e) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,536 @@
+import { AbortError, HttpError } from './http-errors';
+
+/**
+ * The formats an `HttpStream` can read
+ *
+ * - `sse`: a `text/event-stream` of Server-Sent Events
+ * - `ndjson`: JSON records separated by newlines (NDJSON) or record separators (JSON text sequences)
+ *
+ * @type {{SSE: string, NDJSON: string}}
+ */
+export const STREAM_FORMAT = {
+    SSE: 'sse',
+    NDJSON: 'ndjson',
+};
+
+/**
+ * @class SseParser
+ * @description
+ * Parses a `text/event-stream` chunk by chunk, following the rules of the HTML specification. Every complete
+ * event is passed to the callback as `{type, data, id}`, where `id` is the last event id seen by the parser.
+ */
+export class SseParser {
+
+    /**
+     * @param {function({type: string, data: string, id: string})} onEvent
+     * @param {function(number)} onRetry - Receives the reconnection time sent by the server, in ms
+     */
+    constructor(onEvent, onRetry = () => {}) {
+        this._onEvent = onEvent;
+        this._onRetry = onRetry;
+        this._buffer = '';
+        this._type = '';
+        this._data = '';
+        this._carriageReturn = false;
+
+        /**
+         * @property {string} lastEventId - The id of the last event, sent as `Last-Event-ID` when reconnecting
+         */
+        this.lastEventId = '';
+    }
+
+    /**
+     * @param {string} chunk
+     */
+    push(chunk) {
+        // a `\r\n` line break may be split between two chunks
+        const text = this._carriageReturn && chunk.charAt(0) === '\n' ? chunk.slice(1) : chunk;
+
+        this._buffer += text;
+        this._carriageReturn = /\r$/.test(this._buffer);
+
+        const lines = this._buffer.split(/\r\n|\r|\n/);
+
+        this._buffer = lines.pop();
+        lines.forEach(line => this._parseLine(line));
+    }
+
+    /**
+     * Drops an event which wasn't completed, e.g. because the connection dropped
+     */
+    reset() {
+        this._buffer = '';
+        this._type = '';
+        this._data = '';
+        this._carriageReturn = false;
+    }
+
+    /**
+     * @private
+     * @param {string} line
+     */
+    _parseLine(line) {
+        if (line === '') {
+            return this._dispatch();
+        }
+
+        if (line.charAt(0) === ':') {
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+
+        if (value.charAt(0) === ' ') {
+            value = value.slice(1);
+        }
+
+        if (field === 'data') {
+            this._data += `${value}\n`;
+        } else if (field === 'event') {
+            this._type = value;
+        } else if (field === 'id' && value.indexOf('\0') === -1) {
+            this.lastEventId = value;
+        } else if (field === 'retry' && /^\d+$/.test(value)) {
+            this._onRetry(parseInt(value, 10));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _dispatch() {
+        const data = this._data;
+        const type = this._type || 'message';
+
+        this._type = '';
+        this._data = '';
+
+        if (data === '') {
+            return;
+        }
+
+        this._onEvent({ type, data: data.slice(0, -1), id: this.lastEventId });
+    }
+}
+
+/**
+ * @class NdjsonParser
+ * @description
+ * Parses JSON records separated by newlines or record separators chunk by chunk. Records which aren't valid
+ * JSON are passed to the error callback and skipped.
+ */
+export class NdjsonParser {
+
+    /**
+     * @param {function(*)} onRecord
+     * @param {function(SyntaxError)} onError
+     */
+    constructor(onRecord, onError = () => {}) {
+        this._onRecord = onRecord;
+        this._onError = onError;
+        this._buffer = '';
+    }
+
+    /**
+     * @param {string} chunk
+     */
+    push(chunk) {
+        const lines = (this._buffer + chunk).split(/\n|\x1e/);
+
+        this._buffer = lines.pop();
+        lines.forEach(line => this._parseLine(line));
+    }
+
+    /**
+     * Parses the last record, which isn't followed by a separator
+     */
+    flush() {
+        const line = this._buffer;
+
+        this._buffer = '';
+        this._parseLine(line);
+    }
+
+    /**
+     * Drops an incomplete record
+     */
+    reset() {
+        this._buffer = '';
+    }
+
+    /**
+     * @private
+     * @param {string} line
+     */
+    _parseLine(line) {
+        const record = line.trim();
+
+        if (record === '') {
+            return;
+        }
+
+        let value;
+
+        try {
+            value = JSON.parse(record);
+        } catch (error) {
+            return this._onError(error);
+        }
+
+        this._onRecord(value);
+    }
+}
+
+/**
+ * @class HttpStream
+ * @description
+ * HttpStream reads a streaming response of an `HttpClient` while it arrives, either Server-Sent Events or
+ * NDJSON records. The request runs through the client like any other, so it carries the client's headers,
+ * base URL, interceptors and CSRF protection, and it uses the client's transport.
+ *
+ * Every record is passed to `onMessage` and can be consumed with `for await`. Events of an event stream are
+ * passed as `{type, data, id}`; NDJSON records as the parsed value. An event stream reconnects when the
+ * connection ends or drops, sending the id of the last event as `Last-Event-ID` header, unless the server
+ * answered with `204`, an error status or the stream was closed. NDJSON streams end with their response.
+ *
+ * Records are only kept for iterators once one was requested, or if there is no `onMessage`. The transports keep the
+ * response text of a connection until it ends, so a reconnecting stream opens a new connection once the current one
+ * received `maxConnectionSize` characters; the server continues after the `Last-Event-ID`. Connections are sent
+ * past the client's scheduler, since they may never end and would hold one of its slots.
+ *
+ * @example
+ * const stream = client.stream('/api/orders/42/status', { format: 'sse', json: true });
+ *
+ * for await (const event of stream) {
+ *     renderStatus(event.data);
+ * }
+ *
+ * @example
+ * client.stream('/api/import/progress', {
+ *     format: 'ndjson',
+ *     method: 'POST',
+ *     data: { importId },
+ *     onMessage: record => updateProgress(record.done, record.total),
+ * });
+ *
+ * @author Daouda Warme
+ */
+export default class HttpStream {
+
+    /**
+     * @param {HttpClient} client - Sends the requests of the stream
+     * @param {string} url
+     * @param {object} options - Further options are passed to `HttpClient.request()`, e.g. `params` or `headers`
+     * @param {'sse'|'ndjson'} [options.format = 'sse']
+     * @param {string} [options.method = 'GET']
+     * @param {function(*)} [options.onMessage] - Receives every record
+     * @param {function(HttpResponse)} [options.onResponse] - Receives the response of every connection once it ended
+     * @param {function(Error)} [options.onError] - Receives failed connections and records which can't be parsed
+     * @param {boolean} [options.json = false] - Whether the `data` of events is parsed as JSON
+     * @param {boolean} [options.reconnect] - Whether the stream reconnects, defaults to `true` for event streams
+     * @param {number} [options.retryDelay = 3000] - The delay before reconnecting in ms, the server may change it
+     * @param {number} [options.maxRetries = Infinity] - How often the stream reconnects after failed connections
+     * @param {string} [options.lastEventId = ''] - The `Last-Event-ID` of the first connection
+     * @param {number} [options.maxConnectionSize = 2097152] - The characters after which a reconnecting stream
+     * replaces its connection, to bound the memory held by it
+     * @param {AbortSignal} [options.signal] - Closes the stream when aborted
+     */
+    constructor(client, url, options = {}) {
+        const format = options.format || STREAM_FORMAT.SSE;
+
+        if (Object.values(STREAM_FORMAT).indexOf(format) === -1) {
+            throw new Error(`Unknown stream format "${format}"`);
+        }
+
+        this._client = client;
+        this._url = url;
+        this._format = format;
+        this._options = options;
+        this._reconnect = typeof options.reconnect === 'boolean' ? options.reconnect : format === STREAM_FORMAT.SSE;
+        this._retryDelay = typeof options.retryDelay === 'number' ? options.retryDelay : 3000;
+        this._maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : Infinity;
+        this._maxConnectionSize = typeof options.maxConnectionSize === 'number' ? options.maxConnectionSize : 2097152;
+        this._retries = 0;
+        this._timer = null;
+
+        /**
+         * @private
+         * @property {AbortController} _connection - Cancels the running connection
+         */
+        this._connection = new AbortController();
+
+        /**
+         * @private
+         * @property {boolean} _replacing - Whether the running connection is cancelled to open a new one
+         */
+        this._replacing = false;
+
+        /**
+         * @private
+         * @property {Array<*>} _records - Records which weren't consumed by an iterator yet
+         */
+        this._records = [];
+
+        /**
+         * @private
+         * @property {boolean} _buffering - Whether records are kept for iterators, without `onMessage` from the start
+         */
+        this._buffering = !options.onMessage;
+
+        /**
+         * @private
+         * @property {Array<{resolve: function, reject: function}>} _waiting - Iterators waiting for the next record
+         */
+        this._waiting = [];
+
+        /**
+         * @property {boolean} closed - Whether the stream has ended
+         */
+        this.closed = false;
+
+        /**
+         * @property {Error|null} error - The error which ended the stream
+         */
+        this.error = null;
+
+        this._parser = format === STREAM_FORMAT.SSE
+            ? new SseParser(event => this._receive(this._toEvent(event)), (delay) => {
+                this._retryDelay = delay;
+            })
+            : new NdjsonParser(record => this._receive(record), error => this._report(error));
+
+        if (options.lastEventId) {
+            this._parser.lastEventId = options.lastEventId;
+        }
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                this.close();
+                return;
+            }
+
+            options.signal.addEventListener('abort', () => this.close(), { once: true });
+        }
+
+        this._connect();
+    }
+
+    /**
+     * @returns {string} the id of the last event of an event stream
+     */
+    get lastEventId() {
+        return this._format === STREAM_FORMAT.SSE ? this._parser.lastEventId : '';
+    }
+
+    /**
+     * Closes the stream, records received so far can still be consumed
+     */
+    close() {
+        this._end(null);
+        this._connection.abort();
+    }
+
+    /**
+     * @returns {AsyncIterator<*>}
+     */
+    [Symbol.asyncIterator]() {
+        this._buffering = true;
+
+        return {
+            next: () => {
+                if (this._records.length > 0) {
+                    return Promise.resolve({ value: this._records.shift(), done: false });
+                }
+
+                if (this.error) {
+                    return Promise.reject(this.error);
+                }
+
+                if (this.closed) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+
+                return new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+            },
+            return: () => {
+                this.close();
+
+                return Promise.resolve({ value: undefined, done: true });
+            },
+        };
+    }
+
+    /**
+     * @private
+     * Opens a connection
+     */
+    _connect() {
+        const options = this._options;
+        const headers = Object.assign({
+            Accept: this._format === STREAM_FORMAT.SSE ? 'text/event-stream' : 'application/x-ndjson',
+        }, options.headers);
+
+        if (this.lastEventId) {
+            headers['Last-Event-ID'] = this.lastEventId;
+        }
+
+        const connection = new AbortController();
+        let received = 0;
+
+        this._connection = connection;
+        this._parser.reset();
+
+        this._client.request(options.method || 'GET', this._url, Object.assign({}, options, {
+            headers,
+            responseType: 'text',
+            cache: false,
+            retry: false,
+            offline: false,
+            timeout: 0,
+            schedule: false,
+            signal: connection.signal,
+            onChunk: (chunk) => {
+                if (connection.signal.aborted) {
+                    return;
+                }
+
+                received += chunk.length;
+                this._parser.push(chunk);
+
+                if (this._reconnect && received >= this._maxConnectionSize) {
+                    this._replacing = true;
+                    connection.abort();
+                }
+            },
+        })).then((response) => {
+            this._retries = 0;
+
+            if (this._format === STREAM_FORMAT.NDJSON) {
+                this._parser.flush();
+            }
+
+            if (options.onResponse) {
+                options.onResponse(response);
+            }
+
+            if (!this._reconnect || response.status === 204) {
+                return this._end(null);
+            }
+
+            this._scheduleReconnect();
+        }, (error) => {
+            if (this._replacing && !this.closed) {
+                this._replacing = false;
+                return this._connect();
+            }
+
+            if (this.closed || error instanceof AbortError) {
+                return this._end(null);
+            }
+
+            this._report(error);
+
+            if (!this._reconnect || error instanceof HttpError || this._retries >= this._maxRetries) {
+                return this._end(error);
+            }
+
+            this._retries++;
+            this._scheduleReconnect();
+        });
+    }
+
+    /**
+     * @private
+     */
+    _scheduleReconnect() {
+        if (this.closed) {
+            return;
+        }
+
+        this._timer = setTimeout(() => {
+            this._timer = null;
+
+            if (!this.closed) {
+                this._connect();
+            }
+        }, this._retryDelay);
+    }
+
+    /**
+     * @private
+     * @param {{type: string, data: string, id: string}} event
+     *
+     * @returns {{type: string, data: *, id: string}}
+     */
+    _toEvent(event) {
+        if (!this._options.json) {
+            return event;
+        }
+
+        try {
+            return Object.assign({}, event, { data: JSON.parse(event.data) });
+        } catch (error) {
+            this._report(error);
+
+            return event;
+        }
+    }
+
+    /**
+     * @private
+     * Passes a record to the callback and the iterators
+     *
+     * @param {*} record
+     */
+    _receive(record) {
+        if (this.closed) {
+            return;
+        }
+
+        if (this._options.onMessage) {
+            this._options.onMessage(record);
+        }
+
+        if (this._waiting.length > 0) {
+            this._waiting.shift().resolve({ value: record, done: false });
+        } else if (this._buffering) {
+            this._records.push(record);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Error} error
+     */
+    _report(error) {
+        if (this._options.onError) {
+            this._options.onError(error);
+        }
+    }
+
+    /**
+     * @private
+     * Ends the stream and settles the waiting iterators
+     *
+     * @param {Error|null} error
+     */
+    _end(error) {
+        if (this.closed) {
+            return;
+        }
+
+        this.closed = true;
+        this.error = error;
+        clearTimeout(this._timer);
+
+        this._waiting.splice(0).forEach(({ resolve, reject }) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ value: undefined, done: true });
+            }
+        });
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * @class InterceptorManager
+ * @description
+ * InterceptorManager keeps an ordered list of hooks which are chained onto a Promise. The `HttpClient` uses one
+ * manager for outgoing requests and one for incoming responses, which allows cross-cutting concerns like auth
+ * headers, logging or unwrapping API envelopes to be registered once instead of in every caller.
+ *
+ * Hooks run in the order they were registered. A hook may return a new value, a Promise of a new value or
+ * nothing at all, in which case the value it received is passed on unchanged. Throwing (or rejecting) turns the
+ * chain into a failure, which the following `rejected` hooks may recover from.
+ *
+ * @example
+ * const id = client.interceptors.request.use((config) => {
+ *     config.headers['Authorization'] = `Bearer ${token}`;
+ * });
+ * client.interceptors.request.eject(id);
+ *
+ * @author Daouda Warme
+ */
+export default class InterceptorManager {
+
+    constructor() {
+
+        /**
+         * @private
+         * @property {Array<{id: number, fulfilled: function|null, rejected: function|null}>} _handlers
+         */
+        this._handlers = [];
+
+        /**
+         * @private
+         * @property {number} _nextId - The id of the next registered hook
+         */
+        this._nextId = 0;
+    }
+
+    /**
+     * Registers a hook at the end of the chain
+     *
+     * @param {function(*): *|null} fulfilled - Receives the current value
+     * @param {function(Error): *|null} rejected - Receives the error of a previous step
+     *
+     * @returns {number} the id which is needed to remove the hook again
+     */
+    use(fulfilled, rejected = null) {
+        const id = this._nextId++;
+
+        this._handlers.push({
+            id,
+            fulfilled: typeof fulfilled === 'function' ? fulfilled : null,
+            rejected: typeof rejected === 'function' ? rejected : null,
+        });
+
+        return id;
+    }
+
+    /**
+     * Removes a previously registered hook
+     *
+     * @param {number} id
+     *
+     * @returns {boolean} whether a hook was removed
+     */
+    eject(id) {
+        const count = this._handlers.length;
+        this._handlers = this._handlers.filter(handler => handler.id !== id);
+
+        return this._handlers.length !== count;
+    }
+
+    /**
+     * Removes all hooks
+     */
+    clear() {
+        this._handlers = [];
+    }
+
+    /**
+     * Chains all hooks onto the given Promise
+     *
+     * @param {Promise<*>} promise
+     *
+     * @returns {Promise<*>}
+     */
+    run(promise) {
+        return this._handlers.reduce((chain, handler) => {
+            return chain.then(
+                handler.fulfilled ? InterceptorManager._passThrough(handler.fulfilled) : undefined,
+                handler.rejected || undefined
+            );
+        }, promise);
+    }
+
+    /**
+     * @private
+     * Wraps a hook so that returning nothing keeps the current value
+     *
+     * @param {function(*): *} hook
+     *
+     * @returns {function(*): Promise<*>}
+     */
+    static _passThrough(hook) {
+        return value => Promise.resolve(hook(value)).then(result => typeof result === 'undefined' ? value : result);
+    }
+}
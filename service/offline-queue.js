@@ -0,0 +1,434 @@
+import Storage from '../utility/storage/storage';
+import StringHelper from '../utility/string/string-helper';
+import { HttpError, TimeoutError } from './http-errors';
+import { IDEMPOTENT_METHODS } from './retry-policy';
+
+/**
+ * The events published through the `emitter` of the queue, the event detail always contains the number of
+ * `pending` entries
+ *
+ * - `QUEUED`: a mutation was stored, detail `{entry, pending}`
+ * - `SYNC_START` / `SYNC_END`: a replay started or ended, the end carries `{replayed, conflicts, failed, pending}`
+ * - `REPLAYED`: an entry was sent successfully, detail `{entry, response, pending}`
+ * - `CONFLICT` / `FAILED`: the server rejected an entry, or a replay which isn't idempotent timed out, detail
+ *   `{entry, error, pending}`
+ *
+ * @type {{QUEUED: string, SYNC_START: string, SYNC_END: string, REPLAYED: string, CONFLICT: string, FAILED: string}}
+ */
+export const OFFLINE_EVENT = {
+    QUEUED: 'OfflineQueue/queued',
+    SYNC_START: 'OfflineQueue/syncStart',
+    SYNC_END: 'OfflineQueue/syncEnd',
+    REPLAYED: 'OfflineQueue/replayed',
+    CONFLICT: 'OfflineQueue/conflict',
+    FAILED: 'OfflineQueue/failed',
+};
+
+/**
+ * The methods stored by the queue
+ *
+ * @type {string[]}
+ */
+export const QUEUEABLE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * @class OfflineQueue
+ * @description
+ * OfflineQueue stores mutations of the `HttpClient` which can't reach the server, because the browser is
+ * offline or the request failed with a `NetworkError`, and sends them again in their original order once the
+ * `online` event fires. The entries are persisted in a storage of `utility/storage`, so they survive a reload;
+ * entries left from a previous page are replayed as soon as a client starts listening while online.
+ *
+ * A replay stops at the first entry which still can't reach the server and keeps it and all later entries.
+ * Entries the server rejects are removed and reported, status codes of `conflictStatus` to `onConflict` and
+ * all others to `onFailure`. An entry of a method which isn't idempotent, e.g. `POST`, whose replay timed out may
+ * have reached the server already, so it isn't sent again but reported to `onFailure` as well. Bodies which can't be
+ * serialized (e.g. files) aren't queued.
+ *
+ * Only the headers passed to the request itself are stored, not the default headers of the client, so credentials
+ * like an `Authorization` header don't end up in the storage. The client adds its default headers again and runs
+ * its interceptors when an entry is replayed.
+ *
+ * @example
+ * const queue = new OfflineQueue({
+ *     emitter: new NativeEventEmitter(),
+ *     onConflict: (entry, error) => showConflict(error.body),
+ * });
+ * const client = new HttpClient({ offline: queue });
+ *
+ * client.postAsync('/api/wishlist', { productId }).catch((error) => {
+ *     if (error instanceof OfflineError) {
+ *         showPendingSync(queue.size);
+ *     }
+ * });
+ *
+ * @author Daouda Warme
+ */
+export default class OfflineQueue {
+
+    /**
+     * @param {object} options
+     * @param {Storage|MemoryStorage} [options.storage = Storage] - Where the entries are persisted
+     * @param {string} [options.key = 'http-offline-queue'] - The storage key of the entries
+     * @param {NativeEventEmitter|null} [options.emitter = null] - Publishes the `OFFLINE_EVENT`s
+     * @param {number[]} [options.conflictStatus = [409, 412]] - The status codes reported as conflict
+     * @param {function(object, HttpError)|null} [options.onConflict = null] - Receives entries rejected as conflict
+     * @param {function(object, RequestError)|null} [options.onFailure = null] - Receives entries which failed otherwise
+     */
+    constructor({
+        storage = Storage,
+        key = 'http-offline-queue',
+        emitter = null,
+        conflictStatus = [409, 412],
+        onConflict = null,
+        onFailure = null,
+    } = {}) {
+
+        /**
+         * @private
+         * @property {Storage|MemoryStorage} _storage
+         */
+        this._storage = storage;
+
+        /**
+         * @private
+         * @property {string} _key
+         */
+        this._key = key;
+
+        /**
+         * @private
+         * @property {NativeEventEmitter|null} _emitter
+         */
+        this._emitter = emitter;
+
+        /**
+         * @property {number[]} conflictStatus - The status codes reported as conflict
+         */
+        this.conflictStatus = conflictStatus;
+
+        /**
+         * @property {function(object, HttpError)|null} onConflict
+         */
+        this.onConflict = onConflict;
+
+        /**
+         * @property {function(object, RequestError)|null} onFailure
+         */
+        this.onFailure = onFailure;
+
+        /**
+         * @private
+         * @property {Promise<object>|null} _replaying - The running replay, replays don't overlap
+         */
+        this._replaying = null;
+
+        /**
+         * @private
+         * @property {function|null} _onlineListener
+         */
+        this._onlineListener = null;
+    }
+
+    /**
+     * @returns {number} the number of pending entries
+     */
+    get size() {
+        return this.getEntries().length;
+    }
+
+    /**
+     * Returns whether the browser considers itself online
+     *
+     * @returns {boolean}
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Returns whether a request with the given config would be stored
+     *
+     * @param {object} config
+     *
+     * @returns {boolean}
+     */
+    accepts(config) {
+        return QUEUEABLE_METHODS.indexOf(config.method) !== -1 && OfflineQueue._serializeData(config.data) !== null;
+    }
+
+    /**
+     * Stores the request described by the config
+     *
+     * @param {object} config - Its `headers` are stored as they are, they shouldn't contain the default headers
+     *
+     * @returns {object|null} the entry, `null` if the request can't be stored
+     */
+    enqueue(config) {
+        if (!this.accepts(config)) {
+            return null;
+        }
+
+        const entry = {
+            id: StringHelper.createUniqueId(),
+            method: config.method,
+            url: config.url,
+            data: OfflineQueue._serializeData(config.data),
+            contentType: config.contentType,
+            headers: Object.assign({}, config.headers),
+            csrfProtected: config.csrfProtected,
+            queuedAt: Date.now(),
+        };
+
+        if (!this._write(this.getEntries().concat(entry))) {
+            return null;
+        }
+
+        this._publish(OFFLINE_EVENT.QUEUED, { entry });
+
+        return entry;
+    }
+
+    /**
+     * Returns the pending entries in the order they are replayed
+     *
+     * @returns {Array<object>}
+     */
+    getEntries() {
+        const value = this._storage.getItem(this._key);
+
+        if (!value) {
+            return [];
+        }
+
+        try {
+            const entries = JSON.parse(value);
+
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Removes a pending entry without sending it
+     *
+     * @param {string} id
+     */
+    remove(id) {
+        this._write(this.getEntries().filter(entry => entry.id !== id));
+    }
+
+    /**
+     * Removes all pending entries
+     */
+    clear() {
+        this._storage.removeItem(this._key);
+    }
+
+    /**
+     * Sends the pending entries one after another. Calls while a replay is running return the running replay.
+     *
+     * @param {function(object): Promise<HttpResponse>} send - Sends an entry, see `restoreData()`
+     *
+     * @returns {Promise<{replayed: number, conflicts: number, failed: number, pending: number}>}
+     */
+    replay(send) {
+        if (this._replaying) {
+            return this._replaying;
+        }
+
+        const result = { replayed: 0, conflicts: 0, failed: 0, pending: 0 };
+
+        const next = () => {
+            const entry = this.getEntries()[0];
+
+            if (!entry || !this.isOnline()) {
+                return result;
+            }
+
+            return Promise.resolve()
+                .then(() => send(entry))
+                .then((response) => {
+                    this.remove(entry.id);
+                    result.replayed++;
+                    this._publish(OFFLINE_EVENT.REPLAYED, { entry, response });
+
+                    return next();
+                }, (error) => {
+                    const timedOut = error instanceof TimeoutError && IDEMPOTENT_METHODS.indexOf(entry.method) === -1;
+
+                    // no answer of the server (e.g. still unreachable), the entry is kept for the next replay
+                    if (!(error instanceof HttpError) && !timedOut) {
+                        return result;
+                    }
+
+                    this.remove(entry.id);
+                    this._reject(entry, error, result);
+
+                    return next();
+                });
+        };
+
+        this._publish(OFFLINE_EVENT.SYNC_START);
+
+        this._replaying = Promise.resolve().then(next).then((result) => {
+            this._replaying = null;
+            result.pending = this.size;
+            this._publish(OFFLINE_EVENT.SYNC_END, result);
+
+            return result;
+        });
+
+        return this._replaying;
+    }
+
+    /**
+     * Replays the entries whenever the browser comes back online, and right away if entries are pending.
+     * A queue replays through a single sender, listening again replaces the previous one.
+     *
+     * @param {function(object): Promise<HttpResponse>} send
+     *
+     * @returns {function()} stops listening
+     */
+    listen(send) {
+        this.stopListening();
+
+        this._onlineListener = () => this.replay(send);
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this._onlineListener);
+        }
+
+        if (this.isOnline() && this.size > 0) {
+            this.replay(send);
+        }
+
+        return () => this.stopListening();
+    }
+
+    /**
+     * Stops replaying on the `online` event
+     */
+    stopListening() {
+        if (this._onlineListener && typeof window !== 'undefined') {
+            window.removeEventListener('online', this._onlineListener);
+        }
+
+        this._onlineListener = null;
+    }
+
+    /**
+     * Returns the request body stored in the entry
+     *
+     * @param {object} entry
+     *
+     * @returns {*}
+     */
+    restoreData(entry) {
+        const { type, value } = entry.data;
+
+        if (type === 'params') {
+            return new URLSearchParams(value);
+        }
+
+        if (type === 'form') {
+            const data = new FormData();
+            value.forEach(([name, fieldValue]) => data.append(name, fieldValue));
+
+            return data;
+        }
+
+        return type === 'none' ? null : value;
+    }
+
+    /**
+     * @private
+     * Reports an entry the server rejected, or which may have reached the server without an answer
+     *
+     * @param {object} entry
+     * @param {HttpError|TimeoutError} error
+     * @param {object} result
+     */
+    _reject(entry, error, result) {
+        const conflict = this.conflictStatus.indexOf(error.status) !== -1;
+        const callback = conflict ? this.onConflict : this.onFailure;
+
+        if (conflict) {
+            result.conflicts++;
+        } else {
+            result.failed++;
+        }
+
+        if (callback) {
+            callback(entry, error);
+        }
+
+        this._publish(conflict ? OFFLINE_EVENT.CONFLICT : OFFLINE_EVENT.FAILED, { entry, error });
+    }
+
+    /**
+     * @private
+     * @param {Array<object>} entries
+     *
+     * @returns {boolean} whether the entries were stored
+     */
+    _write(entries) {
+        try {
+            if (entries.length === 0) {
+                this._storage.removeItem(this._key);
+            } else {
+                this._storage.setItem(this._key, JSON.stringify(entries));
+            }
+
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} eventName
+     * @param {object} detail
+     */
+    _publish(eventName, detail = {}) {
+        if (this._emitter) {
+            this._emitter.publish(eventName, Object.assign({ pending: this.size }, detail));
+        }
+    }
+
+    /**
+     * @private
+     * Returns the body in a form which can be stored as JSON, `null` if it can't be stored
+     *
+     * @param {*} data
+     *
+     * @returns {{type: string, value: *}|null}
+     */
+    static _serializeData(data) {
+        if (data === null || typeof data === 'undefined') {
+            return { type: 'none', value: null };
+        }
+
+        if (typeof data === 'string') {
+            return { type: 'text', value: data };
+        }
+
+        if (data instanceof URLSearchParams) {
+            return { type: 'params', value: data.toString() };
+        }
+
+        if (typeof FormData !== 'undefined' && data instanceof FormData) {
+            const fields = Array.from(data.entries());
+
+            return fields.every(([, value]) => typeof value === 'string') ? { type: 'form', value: fields } : null;
+        }
+
+        if (Array.isArray(data) || Object.prototype.toString.call(data) === '[object Object]') {
+            return { type: 'json', value: data };
+        }
+
+        return null;
+    }
+}
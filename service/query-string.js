@@ -0,0 +1,125 @@
+/**
+ * The ways arrays are written into a query string
+ *
+ * - `brackets`: `ids[]=1&ids[]=2`
+ * - `repeat`: `ids=1&ids=2`
+ *
+ * Objects are always written with brackets (`filter[color]=red`), as are objects inside arrays (`rows[0][id]=1`).
+ *
+ * @type {{BRACKETS: string, REPEAT: string}}
+ */
+export const PARAMS_STYLE = {
+    BRACKETS: 'brackets',
+    REPEAT: 'repeat',
+};
+
+/**
+ * @class QueryString
+ * @description
+ * Serializes nested objects and arrays into query strings, as used by the `params` option of the `HttpClient`.
+ * Parameters which are `null` or `undefined` are left out, dates are written as ISO strings.
+ *
+ * @example
+ * QueryString.stringify({ p: 2, filter: { color: ['red', 'blue'] } });
+ * // 'p=2&filter[color][]=red&filter[color][]=blue'
+ *
+ * QueryString.append('/search?q=shoe', { ids: [1, 2] }, PARAMS_STYLE.REPEAT);
+ * // '/search?q=shoe&ids=1&ids=2'
+ *
+ * @author Daouda Warme
+ */
+export default class QueryString {
+
+    /**
+     * @param {object|URLSearchParams} params
+     * @param {'brackets'|'repeat'} style - How arrays are written
+     *
+     * @returns {string} the query string, without leading `?`
+     */
+    static stringify(params, style = PARAMS_STYLE.BRACKETS) {
+        if (Object.values(PARAMS_STYLE).indexOf(style) === -1) {
+            throw new Error(`Unknown params style "${style}"`);
+        }
+
+        if (params instanceof URLSearchParams) {
+            return params.toString();
+        }
+
+        const pairs = [];
+
+        Object.keys(params || {}).forEach((name) => {
+            QueryString._collect(pairs, encodeURIComponent(name), params[name], style);
+        });
+
+        return pairs.join('&');
+    }
+
+    /**
+     * Appends the parameters to the query of the URL, a fragment stays at the end
+     *
+     * @param {string} url
+     * @param {object|URLSearchParams|null} params
+     * @param {'brackets'|'repeat'} style
+     *
+     * @returns {string}
+     */
+    static append(url, params, style = PARAMS_STYLE.BRACKETS) {
+        const query = params ? QueryString.stringify(params, style) : '';
+
+        if (!query) {
+            return url;
+        }
+
+        const hashIndex = url.indexOf('#');
+        const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+        const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        const separator = base.indexOf('?') === -1 ? '?' : (/[?&]$/.test(base) ? '' : '&');
+
+        return `${base}${separator}${query}${hash}`;
+    }
+
+    /**
+     * @private
+     * Adds the `name=value` pairs of the value, recursing into objects and arrays
+     *
+     * @param {string[]} pairs
+     * @param {string} name - The encoded name
+     * @param {*} value
+     * @param {string} style
+     */
+    static _collect(pairs, name, value, style) {
+        if (value === null || typeof value === 'undefined') {
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => {
+                const nested = item !== null && typeof item === 'object' && !(item instanceof Date);
+                let itemName = name;
+
+                if (nested) {
+                    itemName = `${name}[${index}]`;
+                } else if (style === PARAMS_STYLE.BRACKETS) {
+                    itemName = `${name}[]`;
+                }
+
+                QueryString._collect(pairs, itemName, item, style);
+            });
+            return;
+        }
+
+        if (value instanceof Date) {
+            pairs.push(`${name}=${encodeURIComponent(value.toISOString())}`);
+            return;
+        }
+
+        if (typeof value === 'object') {
+            Object.keys(value).forEach((key) => {
+                QueryString._collect(pairs, `${name}[${encodeURIComponent(key)}]`, value[key], style);
+            });
+            return;
+        }
+
+        pairs.push(`${name}=${encodeURIComponent(String(value))}`);
+    }
+}
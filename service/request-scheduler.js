@@ -0,0 +1,323 @@
+import { AbortError } from './http-errors';
+
+/**
+ * The priorities of scheduled requests, higher priorities leave the queue first
+ *
+ * @type {{HIGH: string, NORMAL: string, LOW: string}}
+ */
+export const PRIORITY = {
+    HIGH: 'high',
+    NORMAL: 'normal',
+    LOW: 'low',
+};
+
+/**
+ * The rank of every priority, lower ranks leave the queue first
+ *
+ * @type {Object<string, number>}
+ */
+const PRIORITY_RANK = {
+    [PRIORITY.HIGH]: 0,
+    [PRIORITY.NORMAL]: 1,
+    [PRIORITY.LOW]: 2,
+};
+
+/**
+ * The scheduler returned by `RequestScheduler.getShared()`
+ *
+ * @type {RequestScheduler|null}
+ */
+let sharedScheduler = null;
+
+/**
+ * @class RequestScheduler
+ * @description
+ * RequestScheduler limits how many requests run against the same host at the same time. Further requests wait in
+ * a queue per host, ordered by their priority and, within a priority, by the time they were scheduled. Queued
+ * requests can be cancelled by priority, e.g. to drop pending recommendation requests when the user navigates,
+ * while running requests are never interrupted by the scheduler.
+ *
+ * A scheduler can be shared by several `HttpClient` instances, so their requests count against the same limit.
+ * `RequestScheduler.getShared()` returns a scheduler shared by all clients created with `{ scheduler: true }`.
+ *
+ * @example
+ * const client = new HttpClient({ scheduler: true });
+ * client.getAsync('/api/cart', 'application/json', { priority: 'high' });
+ * client.getAsync('/api/recommendations', 'application/json', { priority: 'low' });
+ *
+ * window.addEventListener('pagehide', () => RequestScheduler.getShared().cancel('low'));
+ *
+ * @author Daouda Warme
+ */
+export default class RequestScheduler {
+
+    /**
+     * @param {object} options
+     * @param {number} [options.maxConcurrent = 6] - How many requests may run against a host at the same time
+     * @param {Object<string, number>} [options.hosts = {}] - Overrules `maxConcurrent` for single hosts
+     */
+    constructor({ maxConcurrent = 6, hosts = {} } = {}) {
+        if (maxConcurrent < 1) {
+            throw new Error('The RequestScheduler requires a "maxConcurrent" of at least 1');
+        }
+
+        /**
+         * @property {number} maxConcurrent - How many requests may run against a host at the same time
+         */
+        this.maxConcurrent = maxConcurrent;
+
+        /**
+         * @private
+         * @property {Object<string, number>} _hostLimits
+         */
+        this._hostLimits = Object.assign({}, hosts);
+
+        /**
+         * @private
+         * @property {Map<string, {running: number, queue: Array<object>}>} _hosts - The running and queued requests by host
+         */
+        this._hosts = new Map();
+    }
+
+    /**
+     * Runs the task once a slot for the host of the URL is free. The slot is held until the Promise returned by
+     * the task settles. A task which is cancelled while queued is rejected with an `AbortError`, without running.
+     *
+     * @param {function(): Promise<*>} task
+     * @param {object} options
+     * @param {string} [options.url = ''] - The URL the task requests, relative URLs count against the current host
+     * @param {'high'|'normal'|'low'} [options.priority = 'normal']
+     * @param {AbortSignal|null} [options.signal = null] - Removes the task from the queue when aborted
+     *
+     * @returns {Promise<*>} the outcome of the task
+     */
+    schedule(task, { url = '', priority = PRIORITY.NORMAL, signal = null } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(PRIORITY_RANK, priority)) {
+            throw new Error(`Unknown request priority "${priority}"`);
+        }
+
+        const host = RequestScheduler.getHost(url);
+
+        return new Promise((resolve, reject) => {
+            const entry = { task, host, url, priority, signal, resolve, reject, onAbort: null };
+
+            if (signal && signal.aborted) {
+                return reject(new AbortError());
+            }
+
+            const slots = this._getHost(host);
+
+            if (slots.running < this._getLimit(host)) {
+                return this._run(entry);
+            }
+
+            if (signal) {
+                entry.onAbort = () => this._remove(entry, new AbortError());
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            const rank = PRIORITY_RANK[priority];
+            const index = slots.queue.findIndex(queued => PRIORITY_RANK[queued.priority] > rank);
+
+            slots.queue.splice(index === -1 ? slots.queue.length : index, 0, entry);
+        });
+    }
+
+    /**
+     * Cancels queued tasks, they are rejected with an `AbortError`. Running tasks aren't affected.
+     *
+     * @param {'high'|'normal'|'low'|function(object): boolean} filter - The priority of the cancelled tasks, or a
+     * function receiving `{url, host, priority}` of every queued task
+     *
+     * @returns {number} the number of cancelled tasks
+     */
+    cancel(filter = PRIORITY.LOW) {
+        const matches = typeof filter === 'function' ? filter : entry => entry.priority === filter;
+        let cancelled = 0;
+
+        this._hosts.forEach((slots) => {
+            slots.queue
+                .filter(entry => matches({ url: entry.url, host: entry.host, priority: entry.priority }))
+                .forEach((entry) => {
+                    this._remove(entry, new AbortError());
+                    cancelled++;
+                });
+        });
+
+        return cancelled;
+    }
+
+    /**
+     * Returns how many tasks are queued, for a single host or all hosts
+     *
+     * @param {string|null} host
+     *
+     * @returns {number}
+     */
+    getQueued(host = null) {
+        return this._count(host, slots => slots.queue.length);
+    }
+
+    /**
+     * Returns how many tasks are running, for a single host or all hosts
+     *
+     * @param {string|null} host
+     *
+     * @returns {number}
+     */
+    getRunning(host = null) {
+        return this._count(host, slots => slots.running);
+    }
+
+    /**
+     * Returns the scheduler shared by all clients which don't bring their own
+     *
+     * @returns {RequestScheduler}
+     */
+    static getShared() {
+        if (!sharedScheduler) {
+            sharedScheduler = new RequestScheduler();
+        }
+
+        return sharedScheduler;
+    }
+
+    /**
+     * Returns the host of the URL, an empty string for relative URLs
+     *
+     * @param {string} url
+     *
+     * @returns {string}
+     */
+    static getHost(url) {
+        const match = /^(?:[a-z][a-z0-9+.-]*:)?\/\/([^/?#]+)/i.exec(url || '');
+
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * @private
+     * @param {object} entry
+     */
+    _run(entry) {
+        const slots = this._getHost(entry.host);
+        slots.running++;
+
+        const release = () => {
+            slots.running--;
+            this._next(entry.host);
+        };
+
+        let result;
+
+        try {
+            result = Promise.resolve(entry.task());
+        } catch (error) {
+            result = Promise.reject(error);
+        }
+
+        result.then((value) => {
+            release();
+            entry.resolve(value);
+        }, (error) => {
+            release();
+            entry.reject(error);
+        });
+    }
+
+    /**
+     * @private
+     * Starts the next queued tasks of the host, as far as slots are free
+     *
+     * @param {string} host
+     */
+    _next(host) {
+        const slots = this._getHost(host);
+
+        while (slots.queue.length > 0 && slots.running < this._getLimit(host)) {
+            const entry = slots.queue.shift();
+
+            if (entry.onAbort) {
+                entry.signal.removeEventListener('abort', entry.onAbort);
+            }
+
+            this._run(entry);
+        }
+
+        if (slots.running === 0 && slots.queue.length === 0) {
+            this._hosts.delete(host);
+        }
+    }
+
+    /**
+     * @private
+     * Removes a queued task and rejects it
+     *
+     * @param {object} entry
+     * @param {Error} error
+     */
+    _remove(entry, error) {
+        const slots = this._hosts.get(entry.host);
+        const index = slots ? slots.queue.indexOf(entry) : -1;
+
+        if (index === -1) {
+            return;
+        }
+
+        slots.queue.splice(index, 1);
+
+        if (slots.running === 0 && slots.queue.length === 0) {
+            this._hosts.delete(entry.host);
+        }
+
+        if (entry.onAbort) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+
+        entry.reject(error);
+    }
+
+    /**
+     * @private
+     * @param {string} host
+     *
+     * @returns {{running: number, queue: Array<object>}}
+     */
+    _getHost(host) {
+        if (!this._hosts.has(host)) {
+            this._hosts.set(host, { running: 0, queue: [] });
+        }
+
+        return this._hosts.get(host);
+    }
+
+    /**
+     * @private
+     * @param {string} host
+     *
+     * @returns {number}
+     */
+    _getLimit(host) {
+        return this._hostLimits[host] || this.maxConcurrent;
+    }
+
+    /**
+     * @private
+     * @param {string|null} host
+     * @param {function(object): number} count
+     *
+     * @returns {number}
+     */
+    _count(host, count) {
+        if (host !== null) {
+            return this._hosts.has(host) ? count(this._hosts.get(host)) : 0;
+        }
+
+        let total = 0;
+        this._hosts.forEach((slots) => {
+            total += count(slots);
+        });
+
+        return total;
+    }
+}
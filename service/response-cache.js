@@ -0,0 +1,267 @@
+import MemoryStorage from '../utility/storage/memory-storage';
+import HttpResponse from './http-response';
+
+/**
+ * @class ResponseCache
+ * @description
+ * ResponseCache keeps successful GET responses of the `HttpClient` for a limited time. Entries are serialized
+ * into a storage with the Web Storage interface, so the cache can live in memory (the default) or persist in
+ * `localStorage`, `sessionStorage` or any other backend of `utility/storage`.
+ *
+ * Expired entries which carry an `ETag` or `Last-Modified` header are kept, so the client can revalidate them
+ * with a conditional request instead of downloading the body again. The keys of all entries are tracked in an
+ * index entry, which allows invalidating every cached URL starting with a prefix, e.g. after a mutation.
+ *
+ * @example
+ * const client = new HttpClient({ cache: { storage: window.sessionStorage, ttl: 30000 } });
+ * client.getAsync('/api/config');
+ * client.invalidateCache('/api/cart');
+ *
+ * @author Daouda Warme
+ */
+export default class ResponseCache {
+
+    /**
+     * @param {object} options
+     * @param {Storage|MemoryStorage} [options.storage = new MemoryStorage()] - Where the entries are kept
+     * @param {number} [options.ttl = 60000] - How long an entry is served without asking the server, in ms
+     * @param {string} [options.namespace = 'http-cache'] - Prefixes the storage keys of the entries
+     */
+    constructor({ storage = new MemoryStorage(), ttl = 60000, namespace = 'http-cache' } = {}) {
+
+        /**
+         * @private
+         * @property {Storage|MemoryStorage} _storage
+         */
+        this._storage = storage;
+
+        /**
+         * @property {number} ttl - How long an entry is served without asking the server, in ms
+         */
+        this.ttl = ttl;
+
+        /**
+         * @private
+         * @property {string} _namespace
+         */
+        this._namespace = namespace;
+    }
+
+    /**
+     * Returns the entry of the given URL, or `null` if there is none
+     *
+     * @param {string} url
+     *
+     * @returns {object|null}
+     */
+    get(url) {
+        const entry = this._read(this._getStorageKey(url));
+
+        if (entry && !ResponseCache.isFresh(entry) && !entry.etag && !entry.lastModified) {
+            this.remove(url);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Stores the response for the given URL. Only text responses which may be stored are kept.
+     *
+     * @param {string} url
+     * @param {HttpResponse} response
+     * @param {number} ttl - Overrules the default TTL
+     *
+     * @returns {boolean} whether the response was stored
+     */
+    set(url, response, ttl = this.ttl) {
+        const cacheControl = response.getHeader('cache-control') || '';
+
+        if (response.status !== 200 || HttpResponse.isBinary(response.request) || /no-store/i.test(cacheControl)) {
+            return false;
+        }
+
+        const entry = {
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.request.getAllResponseHeaders(),
+            text: response.text,
+            etag: response.getHeader('etag'),
+            lastModified: response.getHeader('last-modified'),
+            expiresAt: Date.now() + ttl,
+        };
+
+        try {
+            this._storage.setItem(this._getStorageKey(url), JSON.stringify(entry));
+        } catch (e) {
+            // e.g. the quota of the storage is exceeded, the response just isn't cached
+            return false;
+        }
+
+        this._updateIndex(index => index.indexOf(url) === -1 ? index.concat(url) : index);
+
+        return true;
+    }
+
+    /**
+     * Marks the entry as fresh again, after the server confirmed it didn't change
+     *
+     * @param {string} url
+     * @param {number} ttl
+     *
+     * @returns {object|null} the updated entry
+     */
+    touch(url, ttl = this.ttl) {
+        const key = this._getStorageKey(url);
+        const entry = this._read(key);
+
+        if (!entry) {
+            return null;
+        }
+
+        entry.expiresAt = Date.now() + ttl;
+        this._storage.setItem(key, JSON.stringify(entry));
+
+        return entry;
+    }
+
+    /**
+     * Removes the entry of the given URL
+     *
+     * @param {string} url
+     */
+    remove(url) {
+        this._storage.removeItem(this._getStorageKey(url));
+        this._updateIndex(index => index.filter(entry => entry !== url));
+    }
+
+    /**
+     * Removes all entries whose URL starts with the given prefix, all entries without prefix
+     *
+     * @param {string} prefix
+     *
+     * @returns {number} the number of removed entries
+     */
+    invalidate(prefix = '') {
+        const urls = this._readIndex().filter(url => url.indexOf(prefix) === 0);
+
+        urls.forEach(url => this._storage.removeItem(this._getStorageKey(url)));
+        this._updateIndex(index => index.filter(url => urls.indexOf(url) === -1));
+
+        return urls.length;
+    }
+
+    /**
+     * Removes all entries
+     */
+    clear() {
+        this.invalidate();
+    }
+
+    /**
+     * Returns the response stored in the entry
+     *
+     * @param {object} entry
+     * @param {object|null} config - The config of the request the response is returned for
+     *
+     * @returns {HttpResponse}
+     */
+    toResponse(entry, config = null) {
+        const response = new HttpResponse(ResponseCache._createRequestSnapshot(entry), config);
+        response.fromCache = true;
+
+        return response;
+    }
+
+    /**
+     * Returns whether the entry may still be served without asking the server
+     *
+     * @param {object} entry
+     *
+     * @returns {boolean}
+     */
+    static isFresh(entry) {
+        return Date.now() < entry.expiresAt;
+    }
+
+    /**
+     * @private
+     * Returns an object which offers the parts of the `XMLHttpRequest` interface read from a finished request
+     *
+     * @param {object} entry
+     *
+     * @returns {object}
+     */
+    static _createRequestSnapshot(entry) {
+        const headers = HttpResponse.parseHeaders(entry.headers);
+
+        return {
+            readyState: 4,
+            status: entry.status,
+            statusText: entry.statusText,
+            responseType: '',
+            responseText: entry.text,
+            response: entry.text,
+            getAllResponseHeaders: () => entry.headers,
+            getResponseHeader: name => headers[name.toLowerCase()] || null,
+            addEventListener: () => {},
+            removeEventListener: () => {},
+            abort: () => {},
+        };
+    }
+
+    /**
+     * @private
+     * @param {string} url
+     *
+     * @returns {string}
+     */
+    _getStorageKey(url) {
+        return `${this._namespace}:${url}`;
+    }
+
+    /**
+     * @private
+     * Reads and parses a stored value, broken values are treated as missing
+     *
+     * @param {string} key
+     *
+     * @returns {*}
+     */
+    _read(key) {
+        const value = this._storage.getItem(key);
+
+        if (!value) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @returns {string[]}
+     */
+    _readIndex() {
+        const index = this._read(`${this._namespace}#index`);
+
+        return Array.isArray(index) ? index : [];
+    }
+
+    /**
+     * @private
+     * @param {function(string[]): string[]} update
+     */
+    _updateIndex(update) {
+        try {
+            this._storage.setItem(`${this._namespace}#index`, JSON.stringify(update(this._readIndex())));
+        } catch (e) {
+            // an outdated index only keeps entries longer than necessary
+        }
+    }
+}
@@ -0,0 +1,206 @@
+import { AbortError, HttpError, NetworkError, TimeoutError } from './http-errors';
+
+/**
+ * HTTP methods which can be repeated without changing the outcome on the server
+ *
+ * @type {string[]}
+ */
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+/**
+ * Status codes which usually describe a temporary condition
+ *
+ * @type {number[]}
+ */
+export const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * @class RetryPolicy
+ * @description
+ * RetryPolicy decides whether a failed request of the `HttpClient` is sent again and how long to wait before
+ * doing so. The delay grows exponentially with every attempt and is randomized ("full jitter") so that many
+ * clients failing at the same time don't hit the server again in lockstep. A `Retry-After` header sent by the
+ * server is honored, as long as it doesn't exceed `maxDelay`.
+ *
+ * Only idempotent methods are retried by default, other methods have to be allowed explicitly through `methods`.
+ * The `retryCondition` hook can overrule the default decision based on the status or the error.
+ *
+ * @example
+ * client.setRetryPolicy({
+ *     maxAttempts: 4,
+ *     methods: ['GET', 'POST'],
+ *     retryCondition: ({ status }) => status === 409 ? true : undefined,
+ * });
+ *
+ * @author Daouda Warme
+ */
+export default class RetryPolicy {
+
+    /**
+     * @param {object} options
+     * @param {number} [options.maxAttempts = 3] - The total number of attempts, including the first one
+     * @param {number} [options.baseDelay = 300] - The delay in ms before the first retry
+     * @param {number} [options.factor = 2] - The multiplier applied to the delay for every further retry
+     * @param {number} [options.maxDelay = 30000] - The upper limit of a single delay in ms
+     * @param {boolean} [options.jitter = true] - Whether the delay is randomized between 0 and the computed delay
+     * @param {boolean} [options.respectRetryAfter = true] - Whether a `Retry-After` header is honored
+     * @param {string[]} [options.methods = IDEMPOTENT_METHODS] - The methods which may be retried
+     * @param {number[]} [options.statusCodes = RETRYABLE_STATUS_CODES] - The status codes which are retried
+     * @param {function(object): (boolean|undefined)|null} [options.retryCondition = null] - Overrules the default
+     * decision when returning a boolean. Receives `{attempt, method, status, response, error}`, where `status` is `0`
+     * and `response` is `null` if no response was received.
+     */
+    constructor({
+        maxAttempts = 3,
+        baseDelay = 300,
+        factor = 2,
+        maxDelay = 30000,
+        jitter = true,
+        respectRetryAfter = true,
+        methods = IDEMPOTENT_METHODS,
+        statusCodes = RETRYABLE_STATUS_CODES,
+        retryCondition = null,
+    } = {}) {
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.factor = factor;
+        this.maxDelay = maxDelay;
+        this.jitter = jitter;
+        this.respectRetryAfter = respectRetryAfter;
+        this.methods = methods.map(method => method.toUpperCase());
+        this.statusCodes = statusCodes;
+        this.retryCondition = retryCondition;
+    }
+
+    /**
+     * Returns whether the failed request should be sent again
+     *
+     * @param {number} attempt - The number of the attempt which just failed, starting at 1
+     * @param {string} method
+     * @param {Error} error - The error the attempt failed with
+     *
+     * @returns {boolean}
+     */
+    shouldRetry(attempt, method, error) {
+        if (attempt >= this.maxAttempts) {
+            return false;
+        }
+
+        // an aborted request was cancelled on purpose
+        if (error instanceof AbortError) {
+            return false;
+        }
+
+        const response = error instanceof HttpError ? error.response : null;
+
+        if (this.retryCondition) {
+            const decision = this.retryCondition({
+                attempt,
+                method,
+                status: response ? response.status : 0,
+                response,
+                error,
+            });
+
+            if (typeof decision === 'boolean') {
+                return decision;
+            }
+        }
+
+        if (this.methods.indexOf(method.toUpperCase()) === -1) {
+            return false;
+        }
+
+        if (!response) {
+            return error instanceof NetworkError || error instanceof TimeoutError;
+        }
+
+        if (this.statusCodes.indexOf(response.status) === -1) {
+            return false;
+        }
+
+        const retryAfter = this._getRetryAfter(response);
+
+        return retryAfter === null || retryAfter <= this.maxDelay;
+    }
+
+    /**
+     * Returns the delay in ms before the next attempt
+     *
+     * @param {number} attempt - The number of the attempt which just failed, starting at 1
+     * @param {Error|null} error - The error the attempt failed with
+     *
+     * @returns {number}
+     */
+    getDelay(attempt, error = null) {
+        const response = error instanceof HttpError ? error.response : null;
+        const exponentialDelay = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempt - 1));
+        const delay = this.jitter ? Math.random() * exponentialDelay : exponentialDelay;
+        const retryAfter = this._getRetryAfter(response);
+
+        return Math.round(retryAfter === null ? delay : Math.max(delay, retryAfter));
+    }
+
+    /**
+     * Parses the value of a `Retry-After` header, which is either a number of seconds or an HTTP date
+     *
+     * @param {string|null} value
+     *
+     * @returns {number|null} the delay in ms, or `null` if the value is missing or invalid
+     */
+    static parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        if (/^\s*\d+\s*$/.test(value)) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        const date = Date.parse(value);
+        if (isNaN(date)) {
+            return null;
+        }
+
+        return Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Returns a Promise which resolves after the given delay, or as soon as the signal is aborted
+     *
+     * @param {number} delay
+     * @param {AbortSignal|null} signal
+     *
+     * @returns {Promise<void>}
+     */
+    static wait(delay, signal = null) {
+        return new Promise((resolve) => {
+            if (signal && signal.aborted) {
+                return resolve();
+            }
+
+            const timer = setTimeout(resolve, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {HttpResponse|null} response
+     *
+     * @returns {number|null}
+     */
+    _getRetryAfter(response) {
+        if (!this.respectRetryAfter || !response) {
+            return null;
+        }
+
+        return RetryPolicy.parseRetryAfter(response.getHeader('retry-after'));
+    }
+}
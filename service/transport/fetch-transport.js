@@ -0,0 +1,174 @@
+import TransportRequest from './transport-request';
+
+/**
+ * @class FetchRequest
+ * @description
+ * Request object of the `FetchTransport`. Text responses are read from the body stream chunk by chunk, every
+ * chunk is appended to `responseText` and announced with a `progress` event, like `XMLHttpRequest` does.
+ */
+export class FetchRequest extends TransportRequest {
+
+    /**
+     * @param {function} fetch - The fetch implementation
+     * @param {RequestInit} defaults - Passed to every `fetch()` call
+     */
+    constructor(fetch, defaults) {
+        super();
+
+        /**
+         * @private
+         * @property {function} _fetch
+         */
+        this._fetch = fetch;
+
+        /**
+         * @private
+         * @property {RequestInit} _options - The options passed to `fetch()`
+         */
+        this._options = Object.assign({}, defaults);
+
+        /**
+         * @private
+         * @property {AbortController|null} _controller - Cancels the running `fetch()`
+         */
+        this._controller = null;
+    }
+
+    /**
+     * Sets further options of the `fetch()` call, e.g. `keepalive`, `cache` or `priority`
+     *
+     * @param {RequestInit} options
+     */
+    setOptions(options) {
+        Object.assign(this._options, options);
+    }
+
+    /**
+     * @protected
+     * @param {*} body
+     */
+    _send(body) {
+        this._controller = new AbortController();
+
+        const options = Object.assign({
+            credentials: this.withCredentials ? 'include' : 'same-origin',
+        }, this._options, {
+            method: this.method,
+            headers: this.requestHeaders,
+            body: this.method === 'GET' || this.method === 'HEAD' ? undefined : (body === null ? undefined : body),
+            signal: this._controller.signal,
+        });
+
+        this._fetch(this.url, options)
+            .then((response) => {
+                const headers = {};
+                response.headers.forEach((value, name) => {
+                    headers[name] = value;
+                });
+
+                // listeners of `readystatechange` may still change the response type
+                this._receiveHeaders(response.status, response.statusText, headers);
+
+                return this._readBody(response);
+            })
+            .catch(() => {
+                // an aborted fetch has already been reported by `abort()`
+                if (!this._controller.signal.aborted) {
+                    this._fail();
+                }
+            });
+    }
+
+    /**
+     * @protected
+     */
+    _cancel() {
+        if (this._controller) {
+            this._controller.abort();
+        }
+    }
+
+    /**
+     * @private
+     * Reads the response body according to the response type
+     *
+     * @param {Response} response
+     *
+     * @returns {Promise<void>}
+     */
+    _readBody(response) {
+        if (this.responseType === 'blob') {
+            return response.blob().then(body => this._finish(body));
+        }
+
+        if (this.responseType === 'arraybuffer') {
+            return response.arrayBuffer().then(body => this._finish(body));
+        }
+
+        if (!response.body || typeof response.body.getReader !== 'function' || typeof TextDecoder === 'undefined') {
+            return response.text().then(body => this._finish(body));
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const total = parseInt(response.headers.get('content-length'), 10) || 0;
+        let loaded = 0;
+
+        const read = () => reader.read().then(({ done, value }) => {
+            if (done) {
+                const rest = decoder.decode();
+                if (rest) {
+                    this._receiveChunk(rest, loaded, total);
+                }
+
+                return this._finish();
+            }
+
+            loaded += value.byteLength;
+            this._receiveChunk(decoder.decode(value, { stream: true }), loaded, total);
+
+            return read();
+        });
+
+        return read();
+    }
+}
+
+/**
+ * @class FetchTransport
+ * @description
+ * Transport of the `HttpClient` which sends requests through `fetch()`. It gives access to the features of
+ * fetch, like `keepalive` requests which survive the page, through the `transportOptions` of a request.
+ * Upload progress isn't reported by fetch.
+ *
+ * @example
+ * const client = new HttpClient({ transport: new FetchTransport() });
+ * client.postAsync('/api/track', data, 'application/json', false, { transportOptions: { keepalive: true } });
+ *
+ * @author Daouda Warme
+ */
+export default class FetchTransport {
+
+    /**
+     * @param {object} options
+     * @param {function} [options.fetch = window.fetch] - The fetch implementation
+     * @param {RequestInit} [options.defaults = {}] - Options passed to every `fetch()` call, e.g. `{ credentials: 'include' }`
+     */
+    constructor({ fetch = null, defaults = {} } = {}) {
+        const fetchImplementation = fetch || (typeof globalThis.fetch === 'function' ? globalThis.fetch.bind(globalThis) : null);
+
+        if (!fetchImplementation) {
+            throw new Error('The FetchTransport requires a "fetch" implementation');
+        }
+
+        this._fetch = fetchImplementation;
+        this._defaults = defaults;
+    }
+
+    /**
+     * @returns {FetchRequest}
+     */
+    createRequest() {
+        return new FetchRequest(this._fetch, this._defaults);
+    }
+}
@@ -0,0 +1,487 @@
+import TransportRequest from './transport-request';
+
+/**
+ * @class MockRoute
+ * @description
+ * A route of the `MockTransport`, created through `MockTransport.on()`. Responses registered with `replyOnce()`
+ * are used first, in order, afterwards the response registered with `reply()` answers every further request.
+ */
+export class MockRoute {
+
+    /**
+     * @param {string} method - The method to match, `*` matches every method
+     * @param {string|RegExp|function(string, object): boolean} url - The URL to match. Strings without query match
+     * the URL without its query.
+     */
+    constructor(method, url) {
+        this.method = method.toUpperCase();
+        this.url = url;
+
+        /**
+         * @property {number} calls - How many requests the route answered
+         */
+        this.calls = 0;
+
+        /**
+         * @private
+         * @property {Array<object|function>} _onceReplies
+         */
+        this._onceReplies = [];
+
+        /**
+         * @private
+         * @property {object|function|null} _reply
+         */
+        this._reply = null;
+
+        /**
+         * @private
+         * @property {number|null} _delay - Overrules the delay of the transport
+         */
+        this._delay = null;
+    }
+
+    /**
+     * Answers every request with the given response. Instead of a status, a function may be passed, which
+     * receives the recorded request and returns `[status, body, headers]` or a Promise of it. An error thrown by the
+     * function is thrown by `send()`, a rejected Promise fails the request and is thrown again, so bugs of a test
+     * don't look like network errors.
+     *
+     * @param {number|function(object): (Array|Promise<Array>)} status
+     * @param {*} body - Objects are sent as JSON
+     * @param {Object<string, string>} headers
+     *
+     * @returns {MockRoute}
+     */
+    reply(status, body = '', headers = {}) {
+        this._reply = MockRoute._createReply(status, body, headers);
+
+        return this;
+    }
+
+    /**
+     * Answers the next request with the given response, takes the same arguments as `reply()`
+     *
+     * @param {number|function(object): (Array|Promise<Array>)} status
+     * @param {*} body
+     * @param {Object<string, string>} headers
+     *
+     * @returns {MockRoute}
+     */
+    replyOnce(status, body = '', headers = {}) {
+        this._onceReplies.push(MockRoute._createReply(status, body, headers));
+
+        return this;
+    }
+
+    /**
+     * Lets every request fail like a dropped connection
+     *
+     * @returns {MockRoute}
+     */
+    networkError() {
+        this._reply = { networkError: true };
+
+        return this;
+    }
+
+    /**
+     * Never answers, the request stays pending until it is aborted or times out
+     *
+     * @returns {MockRoute}
+     */
+    hang() {
+        this._reply = { hang: true };
+
+        return this;
+    }
+
+    /**
+     * Delays the responses of this route
+     *
+     * @param {number} delay - in ms
+     *
+     * @returns {MockRoute}
+     */
+    delay(delay) {
+        this._delay = delay;
+
+        return this;
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} url
+     * @param {object} request - The recorded request
+     *
+     * @returns {boolean}
+     */
+    matches(method, url, request = null) {
+        if (this.method !== '*' && this.method !== method.toUpperCase()) {
+            return false;
+        }
+
+        return MockRoute.matchesUrl(this.url, url, request);
+    }
+
+    /**
+     * @param {string|RegExp|function(string, object): boolean} matcher
+     * @param {string} url
+     * @param {object|null} request
+     *
+     * @returns {boolean}
+     */
+    static matchesUrl(matcher, url, request = null) {
+        if (matcher instanceof RegExp) {
+            return matcher.test(url);
+        }
+
+        if (typeof matcher === 'function') {
+            return matcher(url, request) === true;
+        }
+
+        return matcher === url || (matcher.indexOf('?') === -1 && matcher === url.split('?')[0]);
+    }
+
+    /**
+     * @private
+     * Returns the reply for the next request
+     *
+     * @returns {object|function|null}
+     */
+    _nextReply() {
+        return this._onceReplies.length > 0 ? this._onceReplies.shift() : this._reply;
+    }
+
+    /**
+     * @private
+     * @param {number|function} status
+     * @param {*} body
+     * @param {Object<string, string>} headers
+     *
+     * @returns {object|function}
+     */
+    static _createReply(status, body, headers) {
+        return typeof status === 'function' ? status : { status, body, headers };
+    }
+}
+
+/**
+ * @class MockRequest
+ * @description
+ * Request object of the `MockTransport`
+ */
+export class MockRequest extends TransportRequest {
+
+    /**
+     * @param {MockTransport} transport
+     */
+    constructor(transport) {
+        super();
+        this._transport = transport;
+        this._body = null;
+    }
+
+    /**
+     * @protected
+     * @param {*} body
+     */
+    _send(body) {
+        this._body = body;
+        this._transport._handle(this, body);
+    }
+
+    /**
+     * @private
+     * Reports the request body as uploaded at once, bodies of unknown size (e.g. `FormData`) aren't reported
+     */
+    _reportUpload() {
+        const size = MockRequest._getSize(this._body);
+
+        if (size === null) {
+            return;
+        }
+
+        this._emit('progress', { loaded: size, total: size, lengthComputable: true }, this.upload);
+        this._emit('load', {}, this.upload);
+    }
+
+    /**
+     * @private
+     * @param {*} body
+     *
+     * @returns {number|null} the size of the body in bytes, `null` if it is unknown
+     */
+    static _getSize(body) {
+        if (typeof body === 'string' || body instanceof URLSearchParams) {
+            return new TextEncoder().encode(body.toString()).byteLength;
+        }
+
+        if (body instanceof Blob) {
+            return body.size;
+        }
+
+        if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+            return body.byteLength;
+        }
+
+        return null;
+    }
+}
+
+/**
+ * @class MockTransport
+ * @description
+ * Transport of the `HttpClient` which answers requests from registered routes instead of the network. It allows
+ * testing code using the client under Node or jsdom without a server: routes return canned or computed
+ * responses, optionally delayed, and every request is recorded for assertions.
+ *
+ * Requests which match no route are answered with status 404.
+ *
+ * @example
+ * const mock = new MockTransport();
+ * mock.on('GET', '/api/cart').reply(200, { items: [] });
+ * mock.on('POST', /\/api\/cart\/\d+/).reply(request => [201, { id: request.data.id }]).delay(50);
+ * mock.on('GET', '/api/stock').networkError();
+ *
+ * const client = new HttpClient({ transport: mock });
+ * await client.getAsync('/api/cart');
+ * mock.assertRequested('GET', '/api/cart', 1);
+ *
+ * @author Daouda Warme
+ */
+export default class MockTransport {
+
+    /**
+     * @param {object} options
+     * @param {number} [options.delay = 0] - The default delay of a response in ms
+     */
+    constructor({ delay = 0 } = {}) {
+
+        /**
+         * @private
+         * @property {number} _delay
+         */
+        this._delay = delay;
+
+        /**
+         * @private
+         * @property {MockRoute[]} _routes
+         */
+        this._routes = [];
+
+        /**
+         * @property {Array<{method: string, url: string, headers: Object<string, string>, body: *, data: *}>} history
+         * - The recorded requests, in the order they were sent
+         */
+        this.history = [];
+    }
+
+    /**
+     * Registers a route, the first matching route answers a request
+     *
+     * @param {string} method - `*` matches every method
+     * @param {string|RegExp|function(string, object): boolean} url
+     *
+     * @returns {MockRoute}
+     */
+    on(method, url) {
+        const route = new MockRoute(method, url);
+        this._routes.push(route);
+
+        return route;
+    }
+
+    /**
+     * Returns the recorded requests matching the method and URL
+     *
+     * @param {string} method - `*` matches every method
+     * @param {string|RegExp|function(string, object): boolean} url
+     *
+     * @returns {Array<object>}
+     */
+    requests(method = '*', url = () => true) {
+        const route = new MockRoute(method, url);
+
+        return this.history.filter(request => route.matches(request.method, request.url, request));
+    }
+
+    /**
+     * Throws if no request (or not exactly `times` requests) matching the method and URL was sent
+     *
+     * @param {string} method
+     * @param {string|RegExp|function(string, object): boolean} url
+     * @param {number|null} times
+     */
+    assertRequested(method, url, times = null) {
+        const count = this.requests(method, url).length;
+
+        if (times === null ? count === 0 : count !== times) {
+            const expected = times === null ? 'at least once' : `${times} time(s)`;
+            throw new Error(`Expected ${method} ${url} to be requested ${expected}, but it was requested ${count} time(s)`);
+        }
+    }
+
+    /**
+     * Throws if a request matching the method and URL was sent
+     *
+     * @param {string} method
+     * @param {string|RegExp|function(string, object): boolean} url
+     */
+    assertNotRequested(method, url) {
+        this.assertRequested(method, url, 0);
+    }
+
+    /**
+     * Removes all routes and recorded requests
+     */
+    reset() {
+        this._routes = [];
+        this.history = [];
+    }
+
+    /**
+     * @returns {MockRequest}
+     */
+    createRequest() {
+        return new MockRequest(this);
+    }
+
+    /**
+     * @private
+     * Records the request and answers it from the matching route
+     *
+     * @param {MockRequest} request
+     * @param {*} body
+     */
+    _handle(request, body) {
+        const recorded = {
+            method: request.method,
+            url: request.url,
+            headers: Object.assign({}, request.requestHeaders),
+            body,
+            data: MockTransport._parseBody(body),
+        };
+        this.history.push(recorded);
+
+        const route = this._routes.find(route => route.matches(request.method, request.url, recorded));
+        const reply = route
+            ? route._nextReply()
+            : { status: 404, body: '', headers: {}, statusText: `No mock route matches ${request.method} ${request.url}` };
+
+        if (route) {
+            route.calls++;
+        }
+
+        const delay = route && route._delay !== null ? route._delay : this._delay;
+
+        Promise.resolve(typeof reply === 'function' ? reply(recorded) : reply)
+            .then(reply => MockTransport._normalizeReply(reply))
+            .then(reply => setTimeout(() => MockTransport._respond(request, reply), delay), (error) => {
+                setTimeout(() => {
+                    request._fail();
+                    throw error;
+                }, delay);
+            });
+    }
+
+    /**
+     * @private
+     * Passes the reply to the request
+     *
+     * @param {MockRequest} request
+     * @param {object} reply
+     */
+    static _respond(request, reply) {
+        if (reply.hang) {
+            return;
+        }
+
+        if (reply.networkError) {
+            return request._fail();
+        }
+
+        request._reportUpload();
+
+        const headers = Object.assign({}, reply.headers);
+        let body = reply.body;
+
+        if (body !== null && typeof body === 'object' && !(body instanceof Blob) && !(body instanceof ArrayBuffer)) {
+            body = JSON.stringify(body);
+
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        request._receiveHeaders(reply.status, reply.statusText || '', headers);
+
+        if (request.responseType === 'blob' || request.responseType === 'arraybuffer' || typeof body !== 'string') {
+            return request._finish(MockTransport._toBinary(body, request.responseType, request.getResponseHeader('content-type')));
+        }
+
+        if (body) {
+            const size = MockRequest._getSize(body);
+
+            request._receiveChunk(body, size, size);
+        }
+
+        request._finish();
+    }
+
+    /**
+     * @private
+     * @param {object|Array|null} reply
+     *
+     * @returns {object}
+     */
+    static _normalizeReply(reply) {
+        if (Array.isArray(reply)) {
+            return { status: reply[0], body: typeof reply[1] === 'undefined' ? '' : reply[1], headers: reply[2] || {} };
+        }
+
+        return Object.assign({ status: 200, body: '', headers: {} }, reply);
+    }
+
+    /**
+     * @private
+     * Converts the body into the requested binary format
+     *
+     * @param {string|Blob|ArrayBuffer|null} body
+     * @param {string} responseType
+     * @param {string|null} contentType
+     *
+     * @returns {Blob|ArrayBuffer|string}
+     */
+    static _toBinary(body, responseType, contentType) {
+        if (responseType === 'arraybuffer') {
+            return typeof body === 'string' ? new TextEncoder().encode(body).buffer : body;
+        }
+
+        if (responseType === 'blob') {
+            return body instanceof Blob ? body : new Blob([body === null ? '' : body], { type: contentType || '' });
+        }
+
+        return body;
+    }
+
+    /**
+     * @private
+     * Returns the parsed JSON body, or the body itself if it isn't JSON
+     *
+     * @param {*} body
+     *
+     * @returns {*}
+     */
+    static _parseBody(body) {
+        if (typeof body !== 'string') {
+            return body;
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            return body;
+        }
+    }
+}
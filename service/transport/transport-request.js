@@ -0,0 +1,269 @@
+/**
+ * The states of a request, named like the constants of `XMLHttpRequest`
+ *
+ * @type {{UNSENT: number, OPENED: number, HEADERS_RECEIVED: number, LOADING: number, DONE: number}}
+ */
+export const READY_STATE = {
+    UNSENT: 0,
+    OPENED: 1,
+    HEADERS_RECEIVED: 2,
+    LOADING: 3,
+    DONE: 4,
+};
+
+/**
+ * @class TransportRequest
+ * @description
+ * TransportRequest is the base class of request objects created by transports which don't use `XMLHttpRequest`.
+ * It implements the part of the `XMLHttpRequest` interface used by the `HttpClient` (`open`, `setRequestHeader`,
+ * `send`, `abort`, the response properties and the `readystatechange`, `progress`, `load`, `error`, `abort` and
+ * `loadend` events), so the client can work with every transport the same way.
+ *
+ * Subclasses implement `_send(body)` and report the outcome through `_receiveHeaders()`, `_receiveChunk()`,
+ * `_finish()` and `_fail()`. They may implement `_cancel()` to stop the underlying work on `abort()`.
+ *
+ * @author Daouda Warme
+ */
+export default class TransportRequest extends EventTarget {
+
+    constructor() {
+        super();
+
+        this.readyState = READY_STATE.UNSENT;
+        this.status = 0;
+        this.statusText = '';
+        this.responseType = '';
+        this.response = null;
+        this.responseText = '';
+        this.withCredentials = false;
+        this.method = null;
+        this.url = null;
+
+        /**
+         * @property {EventTarget} upload - Dispatches the `progress` events of the request body
+         */
+        this.upload = new EventTarget();
+
+        /**
+         * @property {Object<string, string>} requestHeaders - The headers set through `setRequestHeader()`
+         */
+        this.requestHeaders = {};
+
+        /**
+         * @private
+         * @property {Object<string, string>} _responseHeaders - Keyed by their lower-cased name
+         */
+        this._responseHeaders = {};
+
+        /**
+         * @private
+         * @property {boolean} _sent - Whether `send()` was called and the request didn't finish yet
+         */
+        this._sent = false;
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} url
+     */
+    open(method, url) {
+        this.method = method.toUpperCase();
+        this.url = url;
+        this.requestHeaders = {};
+        this._setReadyState(READY_STATE.OPENED);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} value
+     */
+    setRequestHeader(name, value) {
+        if (this.readyState !== READY_STATE.OPENED || this._sent) {
+            throw new Error('The request headers can only be set after open() and before send()');
+        }
+
+        this.requestHeaders[name] = value;
+    }
+
+    /**
+     * @param {*} body
+     */
+    send(body = null) {
+        if (this.readyState !== READY_STATE.OPENED || this._sent) {
+            throw new Error('The request must be opened before it can be sent');
+        }
+
+        this._sent = true;
+        this._send(body);
+    }
+
+    /**
+     * Cancels the request, a request which wasn't sent or has finished isn't affected
+     */
+    abort() {
+        if (!this._sent) {
+            return;
+        }
+
+        this._sent = false;
+        this._cancel();
+        this._reset();
+        this._setReadyState(READY_STATE.DONE);
+        this._emit('abort');
+        this._emit('loadend');
+    }
+
+    /**
+     * @returns {string} the response headers, one `name: value` pair per line
+     */
+    getAllResponseHeaders() {
+        return Object.keys(this._responseHeaders)
+            .map(name => `${name}: ${this._responseHeaders[name]}\r\n`)
+            .join('');
+    }
+
+    /**
+     * @param {string} name
+     *
+     * @returns {string|null}
+     */
+    getResponseHeader(name) {
+        const value = this._responseHeaders[name.toLowerCase()];
+
+        return typeof value === 'undefined' ? null : value;
+    }
+
+    /**
+     * @protected
+     * Sends the request, implemented by the subclasses
+     *
+     * @param {*} body
+     */
+    _send(body) {
+        throw new Error(`${this.constructor.name} must implement "_send"`);
+    }
+
+    /**
+     * @protected
+     * Stops the underlying work on `abort()`
+     */
+    _cancel() {
+    }
+
+    /**
+     * @protected
+     * Reports the status and headers of the response
+     *
+     * @param {number} status
+     * @param {string} statusText
+     * @param {Object<string, string>} headers
+     */
+    _receiveHeaders(status, statusText, headers) {
+        if (!this._sent) {
+            return;
+        }
+
+        this.status = status;
+        this.statusText = statusText;
+        this._responseHeaders = {};
+
+        Object.keys(headers).forEach((name) => {
+            this._responseHeaders[name.toLowerCase()] = headers[name];
+        });
+
+        this._setReadyState(READY_STATE.HEADERS_RECEIVED);
+    }
+
+    /**
+     * @protected
+     * Reports a received part of a text response
+     *
+     * @param {string} text
+     * @param {number} loaded - The number of bytes received so far
+     * @param {number} total - The expected number of bytes, `0` if unknown
+     */
+    _receiveChunk(text, loaded, total = 0) {
+        if (!this._sent) {
+            return;
+        }
+
+        this.responseText += text;
+        this.response = this.responseText;
+        this._setReadyState(READY_STATE.LOADING);
+        this._emit('progress', { loaded, total, lengthComputable: total > 0 });
+    }
+
+    /**
+     * @protected
+     * Completes the request. Text responses which were received in chunks pass no body.
+     *
+     * @param {string|Blob|ArrayBuffer|undefined} body
+     */
+    _finish(body) {
+        if (!this._sent) {
+            return;
+        }
+
+        this._sent = false;
+
+        if (typeof body === 'string') {
+            this.responseText = body;
+            this.response = body;
+        } else if (typeof body !== 'undefined') {
+            this.response = body;
+        }
+
+        this._setReadyState(READY_STATE.DONE);
+        this._emit('load');
+        this._emit('loadend');
+    }
+
+    /**
+     * @protected
+     * Completes the request without a response, e.g. after a network error
+     */
+    _fail() {
+        if (!this._sent) {
+            return;
+        }
+
+        this._sent = false;
+        this._reset();
+        this._setReadyState(READY_STATE.DONE);
+        this._emit('error');
+        this._emit('loadend');
+    }
+
+    /**
+     * @protected
+     * Dispatches an event, the properties are assigned to the event object
+     *
+     * @param {string} type
+     * @param {object} properties
+     * @param {EventTarget} target
+     */
+    _emit(type, properties = {}, target = this) {
+        target.dispatchEvent(Object.assign(new Event(type), properties));
+    }
+
+    /**
+     * @private
+     * @param {number} readyState
+     */
+    _setReadyState(readyState) {
+        this.readyState = readyState;
+        this._emit('readystatechange');
+    }
+
+    /**
+     * @private
+     * Drops everything received so far
+     */
+    _reset() {
+        this.status = 0;
+        this.statusText = '';
+        this.response = null;
+        this.responseText = '';
+        this._responseHeaders = {};
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * @class XhrTransport
+ * @description
+ * The default transport of the `HttpClient`, which sends requests through `XMLHttpRequest`.
+ *
+ * A transport is any object with a `createRequest()` method returning a new, unsent request object which
+ * implements the `XMLHttpRequest` interface used by the client. Request objects may additionally implement
+ * `setOptions(options)`, which receives the `transportOptions` of the request config after `open()`.
+ *
+ * @author Daouda Warme
+ */
+export default class XhrTransport {
+
+    /**
+     * @param {object} options
+     * @param {boolean} [options.withCredentials = false] - Whether cross-site requests send cookies
+     */
+    constructor({ withCredentials = false } = {}) {
+        this._withCredentials = withCredentials;
+    }
+
+    /**
+     * @returns {XMLHttpRequest}
+     */
+    createRequest() {
+        const request = new XMLHttpRequest();
+        request.withCredentials = this._withCredentials;
+
+        return request;
+    }
+}
@@ -0,0 +1,49 @@
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * The URL of the repository, its files are ES modules without file extension in their imports
+ *
+ * @type {string}
+ */
+const ROOT = new URL('../', import.meta.url).href;
+
+/**
+ * Resolves the relative imports of the repository, e.g. `./http-response`, to their `.js` file
+ *
+ * @param {string} specifier
+ * @param {object} context
+ * @param {function} nextResolve
+ *
+ * @returns {Promise<object>}
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const relative = specifier.indexOf('./') === 0 || specifier.indexOf('../') === 0;
+
+    if (relative && context.parentURL && context.parentURL.indexOf(ROOT) === 0 && !/\.m?js$/.test(specifier)) {
+        const url = new URL(`${specifier}.js`, context.parentURL);
+
+        if (existsSync(fileURLToPath(url))) {
+            return { url: url.href, shortCircuit: true };
+        }
+    }
+
+    return nextResolve(specifier, context);
+}
+
+/**
+ * Loads the files of the repository as ES modules, there is no `package.json` declaring their type
+ *
+ * @param {string} url
+ * @param {object} context
+ * @param {function} nextLoad
+ *
+ * @returns {Promise<object>}
+ */
+export async function load(url, context, nextLoad) {
+    if (url.indexOf(ROOT) === 0 && /\.js$/.test(url)) {
+        return nextLoad(url, Object.assign({}, context, { format: 'module' }));
+    }
+
+    return nextLoad(url, context);
+}
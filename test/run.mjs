@@ -0,0 +1,39 @@
+import { spawnSync } from 'node:child_process';
+import { readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Runs all `*.test.js` files below this directory with the Node test runner:
+ *
+ *     node test/run.mjs
+ *
+ * Further arguments are passed to the runner, e.g. `--test-name-pattern=retry`. The tests need Node 20.6 or newer.
+ */
+const directory = fileURLToPath(new URL('.', import.meta.url));
+
+/**
+ * @param {string} path
+ *
+ * @returns {string[]}
+ */
+function findTests(path) {
+    return readdirSync(path, { withFileTypes: true }).reduce((files, entry) => {
+        const file = join(path, entry.name);
+
+        if (entry.isDirectory()) {
+            return files.concat(findTests(file));
+        }
+
+        return /\.test\.js$/.test(entry.name) ? files.concat(file) : files;
+    }, []);
+}
+
+const result = spawnSync(process.execPath, [
+    '--import', new URL('./register.mjs', import.meta.url).href,
+    '--test',
+    ...process.argv.slice(2),
+    ...findTests(directory).sort(),
+], { stdio: 'inherit' });
+
+process.exit(result.status === null ? 1 : result.status);
@@ -0,0 +1,178 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import HttpClient from '../../service/http-client';
+import MockTransport from '../../service/transport/mock-transport';
+import { AbortError, HttpError } from '../../service/http-errors';
+
+/**
+ * @param {MockTransport} transport
+ * @param {object} options - Further options of the client
+ *
+ * @returns {HttpClient}
+ */
+function createClient(transport, options = {}) {
+    return new HttpClient(Object.assign({ transport, csrf: { strategy: 'none' } }, options));
+}
+
+describe('HttpClient', () => {
+    describe('retry', () => {
+        const retry = { maxAttempts: 3, baseDelay: 1, jitter: false };
+
+        it('sends a failed GET request again until it succeeds', async () => {
+            const mock = new MockTransport();
+            mock.on('GET', '/a').reply(200, 'ok').replyOnce(503).replyOnce(502);
+
+            const response = await createClient(mock, { retry }).getAsync('/a');
+
+            assert.equal(response.data, 'ok');
+            mock.assertRequested('GET', '/a', 3);
+        });
+
+        it('gives up after the last attempt with the error of that attempt', async () => {
+            const mock = new MockTransport();
+            mock.on('GET', '/a').reply(503);
+
+            await assert.rejects(createClient(mock, { retry }).getAsync('/a'), error => error instanceof HttpError && error.status === 503);
+            mock.assertRequested('GET', '/a', 3);
+        });
+
+        it('retries network errors, but neither methods which aren\'t idempotent nor client errors', async () => {
+            const mock = new MockTransport();
+            mock.on('GET', '/down').networkError();
+            mock.on('POST', '/a').reply(503);
+            mock.on('GET', '/missing').reply(404);
+
+            const client = createClient(mock, { retry });
+
+            await assert.rejects(client.getAsync('/down'));
+            await assert.rejects(client.request('POST', '/a'));
+            await assert.rejects(client.getAsync('/missing'));
+            mock.assertRequested('GET', '/down', 3);
+            mock.assertRequested('POST', '/a', 1);
+            mock.assertRequested('GET', '/missing', 1);
+        });
+
+        it('starts no further attempt nor token request when aborted during the backoff', async () => {
+            const mock = new MockTransport();
+            mock.on('POST', '/a').reply(503);
+            mock.on('POST', '/token').reply(200, { token: 'token' });
+
+            const client = createClient(mock, {
+                retry: { maxAttempts: 3, baseDelay: 50, jitter: false, methods: ['POST'] },
+                csrf: { strategy: 'header', tokenUrl: '/token' },
+            });
+            const controller = new AbortController();
+            const request = client.request('POST', '/a', { signal: controller.signal });
+
+            setTimeout(() => controller.abort(), 20);
+
+            await assert.rejects(request, AbortError);
+            await new Promise(resolve => setTimeout(resolve, 60));
+            mock.assertRequested('POST', '/a', 1);
+            mock.assertRequested('POST', '/token', 1);
+        });
+    });
+
+    describe('CSRF protection', () => {
+        const csrf = { strategy: 'header', tokenUrl: '/token' };
+
+        it('fetches a token once for all protected requests and sends it as header', async () => {
+            const mock = new MockTransport();
+            mock.on('POST', '/token').reply(200, { token: 'token-1' });
+            mock.on('*', '/a').reply(200);
+
+            const client = createClient(mock, { csrf });
+
+            await Promise.all([client.request('POST', '/a'), client.request('PUT', '/a')]);
+            await client.request('DELETE', '/a');
+            await client.getAsync('/a');
+
+            mock.assertRequested('POST', '/token', 1);
+            assert.deepEqual(
+                mock.requests('*', '/a').map(request => request.headers['X-CSRF-Token']),
+                ['token-1', 'token-1', 'token-1', undefined],
+            );
+        });
+
+        it('fetches a new token and sends the request again when the server rejects the cached one', async () => {
+            const mock = new MockTransport();
+            mock.on('POST', '/token').replyOnce(200, { token: 'expired' }).reply(200, { token: 'fresh' });
+            mock.on('POST', '/a').reply(request => (request.headers['X-CSRF-Token'] === 'fresh' ? [200, 'saved'] : [403]));
+
+            const client = createClient(mock, { csrf });
+
+            await assert.rejects(client.request('POST', '/a'), error => error instanceof HttpError && error.status === 403);
+
+            const response = await client.request('POST', '/a');
+
+            assert.equal(response.data, 'saved');
+            mock.assertRequested('POST', '/token', 2);
+            mock.assertRequested('POST', '/a', 3);
+        });
+
+        it('adds the token to the body with the body strategy', async () => {
+            const mock = new MockTransport();
+            mock.on('POST', '/token').reply(200, { token: 'token-1' });
+            mock.on('POST', '/a').reply(200);
+
+            await createClient(mock, { csrf: { strategy: 'body', tokenUrl: '/token' } })
+                .request('POST', '/a', { data: { quantity: 2 } });
+
+            assert.deepEqual(mock.requests('POST', '/a')[0].data, { quantity: 2, _csrf_token: 'token-1' });
+        });
+    });
+
+    describe('response cache', () => {
+        it('serves repeated GET requests from the cache and merges identical running ones', async () => {
+            const mock = new MockTransport({ delay: 5 });
+            mock.on('GET', '/a').reply(200, { value: 1 });
+
+            const client = createClient(mock, { cache: true });
+            const responses = await Promise.all([client.getAsync('/a'), client.getAsync('/a')]);
+            const cached = await client.getAsync('/a');
+
+            assert.deepEqual(responses.map(response => response.data), [{ value: 1 }, { value: 1 }]);
+            assert.deepEqual(cached.data, { value: 1 });
+            mock.assertRequested('GET', '/a', 1);
+        });
+
+        it('revalidates an expired entry with its ETag', async () => {
+            const mock = new MockTransport();
+            mock.on('GET', '/a').replyOnce(200, { value: 1 }, { ETag: '"v1"' }).reply(304);
+
+            const client = createClient(mock, { cache: { ttl: 1 } });
+
+            await client.getAsync('/a');
+            await new Promise(resolve => setTimeout(resolve, 5));
+
+            const response = await client.getAsync('/a');
+
+            assert.deepEqual(response.data, { value: 1 });
+            assert.equal(mock.requests('GET', '/a')[1].headers['If-None-Match'], '"v1"');
+        });
+
+        it('drops the entries of a URL after a mutation of it', async () => {
+            const mock = new MockTransport();
+            mock.on('GET', '/cart').replyOnce(200, { items: 0 }).reply(200, { items: 1 });
+            mock.on('POST', '/cart').reply(201);
+
+            const client = createClient(mock, { cache: true });
+
+            await client.getAsync('/cart');
+            await client.request('POST', '/cart', { data: { id: 1 } });
+
+            assert.deepEqual((await client.getAsync('/cart')).data, { items: 1 });
+        });
+
+        it('caches requests with other headers apart from each other', async () => {
+            const mock = new MockTransport();
+            mock.on('GET', '/me').reply(request => [200, { user: request.headers.Authorization }]);
+
+            const client = createClient(mock, { cache: true });
+            const first = await client.getAsync('/me', 'application/json', { headers: { Authorization: 'first' } });
+            const second = await client.getAsync('/me', 'application/json', { headers: { Authorization: 'second' } });
+
+            assert.deepEqual([first.data.user, second.data.user], ['first', 'second']);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import HttpClient from '../../service/http-client';
+import OfflineQueue from '../../service/offline-queue';
+import MockTransport from '../../service/transport/mock-transport';
+import { OfflineError } from '../../service/http-errors';
+import MemoryStorage from '../../utility/storage/memory-storage';
+
+/**
+ * @param {string} method
+ * @param {string} url
+ *
+ * @returns {object} the config of a JSON request, as passed to `OfflineQueue.enqueue()`
+ */
+function createConfig(method, url) {
+    return { method, url, data: { url }, contentType: 'application/json', headers: {}, csrfProtected: false };
+}
+
+describe('OfflineQueue', () => {
+    it('stores mutations which fail with a network error, without the default headers of the client', async () => {
+        const storage = new MemoryStorage();
+        const queue = new OfflineQueue({ storage });
+        const mock = new MockTransport();
+        mock.on('POST', '/a').networkError();
+
+        const client = new HttpClient({
+            transport: mock,
+            offline: queue,
+            headers: { Authorization: 'Bearer secret' },
+            csrf: { strategy: 'none' },
+        });
+
+        await assert.rejects(client.request('POST', '/a', { data: { x: 1 }, headers: { 'X-Trace': '1' } }), OfflineError);
+        await assert.rejects(client.getAsync('/a'), error => !(error instanceof OfflineError));
+
+        assert.equal(queue.size, 1);
+        assert.deepEqual(queue.getEntries()[0].headers, { 'X-Trace': '1' });
+        assert.doesNotMatch(storage.getItem('http-offline-queue'), /secret/);
+
+        mock.reset();
+        mock.on('POST', '/a').reply(200);
+
+        assert.deepEqual(await client.replayOfflineQueue(), { replayed: 1, conflicts: 0, failed: 0, pending: 0 });
+        assert.equal(mock.history[0].headers.Authorization, 'Bearer secret');
+        assert.equal(mock.history[0].headers['X-Trace'], '1');
+        assert.deepEqual(mock.history[0].data, { x: 1 });
+    });
+
+    it('replays the entries in order and reports the ones the server rejects', async () => {
+        const conflicts = [];
+        const failures = [];
+        const queue = new OfflineQueue({
+            storage: new MemoryStorage(),
+            onConflict: entry => conflicts.push(entry.url),
+            onFailure: entry => failures.push(entry.url),
+        });
+
+        ['/first', '/conflict', '/invalid', '/last'].forEach(url => queue.enqueue(createConfig('PUT', url)));
+
+        const mock = new MockTransport();
+        mock.on('PUT', '/conflict').reply(409);
+        mock.on('PUT', '/invalid').reply(422);
+        mock.on('PUT', /.*/).reply(200);
+
+        // the client replays the pending entries right away
+        const client = new HttpClient({ transport: mock, offline: queue, csrf: { strategy: 'none' } });
+
+        assert.deepEqual(await client.replayOfflineQueue(), { replayed: 2, conflicts: 1, failed: 1, pending: 0 });
+        assert.deepEqual(mock.history.map(request => request.url), ['/first', '/conflict', '/invalid', '/last']);
+        assert.deepEqual(conflicts, ['/conflict']);
+        assert.deepEqual(failures, ['/invalid']);
+    });
+
+    it('keeps the entry which still can\'t reach the server and all later ones', async () => {
+        const queue = new OfflineQueue({ storage: new MemoryStorage() });
+
+        ['/first', '/down', '/last'].forEach(url => queue.enqueue(createConfig('DELETE', url)));
+
+        const mock = new MockTransport();
+        mock.on('DELETE', '/down').networkError();
+        mock.on('DELETE', /.*/).reply(204);
+
+        const client = new HttpClient({ transport: mock, offline: queue, csrf: { strategy: 'none' } });
+
+        assert.deepEqual(await client.replayOfflineQueue(), { replayed: 1, conflicts: 0, failed: 0, pending: 2 });
+        assert.deepEqual(queue.getEntries().map(entry => entry.url), ['/down', '/last']);
+    });
+
+    it('doesn\'t send an entry which isn\'t idempotent again after its replay timed out', async () => {
+        const failures = [];
+        const queue = new OfflineQueue({
+            storage: new MemoryStorage(),
+            onFailure: (entry, error) => failures.push(`${entry.method} ${error.name}`),
+        });
+
+        queue.enqueue(createConfig('POST', '/a'));
+        queue.enqueue(createConfig('PUT', '/a'));
+
+        const mock = new MockTransport();
+        mock.on('*', '/a').hang();
+
+        const client = new HttpClient({ transport: mock, offline: queue, timeout: 20, csrf: { strategy: 'none' } });
+
+        assert.deepEqual(await client.replayOfflineQueue(), { replayed: 0, conflicts: 0, failed: 1, pending: 1 });
+        assert.deepEqual(failures, ['POST TimeoutError']);
+        assert.deepEqual(queue.getEntries().map(entry => entry.method), ['PUT']);
+    });
+
+    it('restores the stored bodies', () => {
+        const queue = new OfflineQueue({ storage: new MemoryStorage() });
+        const form = new FormData();
+        form.append('name', 'value');
+
+        const entries = [
+            Object.assign(createConfig('POST', '/a'), { data: new URLSearchParams('a=1&b=2') }),
+            Object.assign(createConfig('POST', '/a'), { data: form }),
+            Object.assign(createConfig('POST', '/a'), { data: null }),
+        ].map(config => queue.enqueue(config));
+
+        assert.equal(queue.restoreData(entries[0]).toString(), 'a=1&b=2');
+        assert.equal(queue.restoreData(entries[1]).get('name'), 'value');
+        assert.equal(queue.restoreData(entries[2]), null);
+        assert.equal(queue.enqueue(Object.assign(createConfig('POST', '/a'), { data: new Blob(['x']) })), null);
+    });
+});
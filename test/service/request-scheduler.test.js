@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import HttpClient from '../../service/http-client';
+import RequestScheduler from '../../service/request-scheduler';
+import MockTransport from '../../service/transport/mock-transport';
+import { AbortError } from '../../service/http-errors';
+
+/**
+ * Returns a task which stays running until `finish()` is called
+ *
+ * @param {string[]} started - Receives the name once the task runs
+ * @param {string} name
+ *
+ * @returns {{task: function(): Promise<string>, finish: function()}}
+ */
+function createTask(started, name) {
+    let finish = null;
+    const finished = new Promise((resolve) => {
+        finish = () => resolve(name);
+    });
+
+    return {
+        task: () => {
+            started.push(name);
+            return finished;
+        },
+        finish: () => finish(),
+    };
+}
+
+describe('RequestScheduler', () => {
+    it('runs at most maxConcurrent tasks per host at the same time', async () => {
+        const scheduler = new RequestScheduler({ maxConcurrent: 2 });
+        const started = [];
+        const tasks = ['a', 'b', 'c'].map(name => createTask(started, name));
+        const other = createTask(started, 'other host');
+
+        const results = tasks.map(({ task }) => scheduler.schedule(task, { url: '/a' }));
+        results.push(scheduler.schedule(other.task, { url: 'https://cdn.example.com/a' }));
+
+        assert.deepEqual(started, ['a', 'b', 'other host']);
+        assert.equal(scheduler.getRunning(''), 2);
+        assert.equal(scheduler.getQueued(), 1);
+
+        tasks[0].finish();
+        await results[0];
+
+        assert.deepEqual(started, ['a', 'b', 'other host', 'c']);
+
+        tasks.slice(1).concat(other).forEach(({ finish }) => finish());
+
+        assert.deepEqual(await Promise.all(results), ['a', 'b', 'c', 'other host']);
+        assert.equal(scheduler.getRunning(), 0);
+    });
+
+    it('starts queued tasks by priority, and in their order within a priority', async () => {
+        const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+        const started = [];
+        const tasks = [
+            ['first', 'low'],
+            ['low', 'low'],
+            ['normal', 'normal'],
+            ['high', 'high'],
+            ['second high', 'high'],
+        ].map(([name, priority]) => Object.assign(createTask(started, name), { priority }));
+
+        const results = tasks.map(({ task, priority }) => scheduler.schedule(task, { priority }));
+        tasks.forEach(({ finish }) => finish());
+        await Promise.all(results);
+
+        assert.deepEqual(started, ['first', 'high', 'second high', 'normal', 'low']);
+    });
+
+    it('rejects queued tasks which are cancelled or aborted, without running them', async () => {
+        const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+        const started = [];
+        const running = createTask(started, 'running');
+        const controller = new AbortController();
+
+        const results = [
+            scheduler.schedule(running.task),
+            scheduler.schedule(createTask(started, 'low').task, { priority: 'low' }),
+            scheduler.schedule(createTask(started, 'aborted').task, { signal: controller.signal }),
+        ];
+
+        assert.equal(scheduler.cancel('low'), 1);
+        controller.abort();
+        running.finish();
+
+        await assert.rejects(results[1], AbortError);
+        await assert.rejects(results[2], AbortError);
+        assert.equal(await results[0], 'running');
+        assert.deepEqual(started, ['running']);
+        assert.equal(scheduler.getQueued(), 0);
+    });
+
+    it('queues the requests of a client and lets waiting requests be cancelled right away', async () => {
+        const mock = new MockTransport({ delay: 5 });
+        mock.on('GET', '/a').reply(200);
+
+        const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+        const client = new HttpClient({ transport: mock, scheduler, csrf: { strategy: 'none' } });
+        const controller = new AbortController();
+
+        const running = client.getAsync('/a');
+        const aborted = client.getAsync('/a', 'application/json', { signal: controller.signal });
+        const cancelled = client.getAsync('/a', 'application/json', { priority: 'low' });
+
+        controller.abort();
+
+        assert.equal(scheduler.cancel('low'), 1);
+        await assert.rejects(aborted, AbortError);
+        await assert.rejects(cancelled, AbortError);
+        await running;
+        mock.assertRequested('GET', '/a', 1);
+    });
+
+    it('fetches the CSRF token past the queue, so a request holding the last slot can wait for it', async () => {
+        const mock = new MockTransport({ delay: 5 });
+        mock.on('POST', '/a').reply(200);
+        mock.on('POST', '/token').reply(200, { token: 'token' });
+
+        const client = new HttpClient({
+            transport: mock,
+            scheduler: { maxConcurrent: 1 },
+            csrf: { strategy: 'header', tokenUrl: '/token' },
+        });
+
+        const responses = await Promise.all([client.request('POST', '/a'), client.request('POST', '/a')]);
+
+        assert.deepEqual(responses.map(response => response.status), [200, 200]);
+        mock.assertRequested('POST', '/token', 1);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import HttpClient from '../../../service/http-client';
+import MockTransport from '../../../service/transport/mock-transport';
+import { HttpError, NetworkError } from '../../../service/http-errors';
+
+/**
+ * @param {MockTransport} transport
+ *
+ * @returns {HttpClient}
+ */
+function createClient(transport) {
+    return new HttpClient({ transport, csrf: { strategy: 'none' } });
+}
+
+describe('MockTransport', () => {
+    it('answers from the first matching route and records the requests', async () => {
+        const mock = new MockTransport();
+        mock.on('GET', '/api/cart').reply(200, { items: [1] });
+        mock.on('POST', /\/api\/cart\/\d+/).reply(request => [201, { received: request.data }]);
+
+        const client = createClient(mock);
+        const cart = await client.getAsync('/api/cart?page=2');
+        const created = await client.postAsync('/api/cart/5', { id: 5 }, 'application/json', false);
+
+        assert.equal(cart.status, 200);
+        assert.deepEqual(cart.data, { items: [1] });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.data, { received: { id: 5 } });
+        assert.deepEqual(mock.history.map(request => `${request.method} ${request.url}`), [
+            'GET /api/cart?page=2',
+            'POST /api/cart/5',
+        ]);
+        mock.assertRequested('GET', '/api/cart', 1);
+        assert.throws(() => mock.assertRequested('DELETE', '/api/cart'), /requested 0 time/);
+    });
+
+    it('uses the replies of replyOnce() before the reply of reply()', async () => {
+        const mock = new MockTransport();
+        mock.on('GET', '/a').reply(200, 'always').replyOnce(200, 'first').replyOnce(200, 'second');
+
+        const client = createClient(mock);
+        const bodies = [];
+
+        for (let i = 0; i < 3; i++) {
+            bodies.push((await client.getAsync('/a')).data);
+        }
+
+        assert.deepEqual(bodies, ['first', 'second', 'always']);
+    });
+
+    it('answers unknown routes with 404 and fails requests of networkError() routes', async () => {
+        const mock = new MockTransport();
+        mock.on('GET', '/down').networkError();
+
+        const client = createClient(mock);
+
+        await assert.rejects(client.getAsync('/unknown'), error => error instanceof HttpError && error.status === 404);
+        await assert.rejects(client.getAsync('/down'), NetworkError);
+    });
+
+    it('throws errors of a reply function instead of reporting a network error', async () => {
+        const mock = new MockTransport();
+        mock.on('GET', '/a').reply(() => {
+            throw new TypeError('bug in the test');
+        });
+
+        await assert.rejects(createClient(mock).getAsync('/a'), { name: 'TypeError', message: 'bug in the test' });
+    });
+
+    it('reports the download progress in bytes', async () => {
+        const mock = new MockTransport();
+        mock.on('GET', '/text').reply(200, 'äöü', { 'Content-Type': 'text/plain' });
+
+        let loaded = null;
+        await createClient(mock).request('GET', '/text', { onDownloadProgress: (progress) => { loaded = progress.loaded; } });
+
+        assert.equal(loaded, 6);
+    });
+});
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CookieStorage from '../../../utility/storage/cookie-storage';
+
+/**
+ * A `document.cookie` which keeps the cookies by name and path, like a browser, and records every written cookie
+ */
+class CookieJar {
+    constructor() {
+        this.cookies = [];
+        this.written = [];
+    }
+
+    /**
+     * @returns {string} the cookies, the ones with the longest path first
+     */
+    get cookie() {
+        return this.cookies
+            .slice()
+            .sort((a, b) => b.path.length - a.path.length)
+            .map(({ name, value }) => `${name}=${value}`)
+            .join('; ');
+    }
+
+    /**
+     * @param {string} cookie
+     */
+    set cookie(cookie) {
+        this.written.push(cookie);
+
+        const [pair, ...attributes] = cookie.split(';');
+        const separator = pair.indexOf('=');
+        const name = pair.slice(0, separator);
+        const pathAttribute = attributes.find(attribute => attribute.indexOf('path=') === 0);
+        const path = pathAttribute ? pathAttribute.slice('path='.length) : '/';
+
+        this.cookies = this.cookies.filter(existing => existing.name !== name || existing.path !== path);
+
+        if (attributes.indexOf('max-age=0') === -1) {
+            this.cookies.push({ name, path, value: pair.slice(separator + 1) });
+        }
+    }
+}
+
+describe('CookieStorage', () => {
+    let jar = null;
+
+    beforeEach(() => {
+        jar = new CookieJar();
+        globalThis.document = jar;
+    });
+
+    afterEach(() => {
+        delete globalThis.document;
+    });
+
+    it('implements the Web Storage interface with encoded names and values', () => {
+        CookieStorage.setItem('a b', 'ü;=1');
+        CookieStorage.setItem('consent', 'all');
+
+        assert.equal(CookieStorage.getItem('a b'), 'ü;=1');
+        assert.equal(CookieStorage.getItem('missing'), null);
+        assert.equal(CookieStorage.length, 2);
+        assert.deepEqual([CookieStorage.key(0), CookieStorage.key(1), CookieStorage.key(2)], ['a b', 'consent', null]);
+
+        CookieStorage.removeItem('a b');
+
+        assert.deepEqual(CookieStorage.getAll(), { consent: 'all' });
+    });
+
+    it('counts cookies of the same name on different paths once', () => {
+        CookieStorage.setItem('id', 'root');
+        CookieStorage.setItem('id', 'shop', { path: '/shop' });
+        CookieStorage.setItem('other', '1', { path: '/shop' });
+
+        assert.equal(CookieStorage.length, 2);
+        assert.deepEqual([CookieStorage.key(0), CookieStorage.key(1), CookieStorage.key(2)], ['id', 'other', null]);
+        assert.equal(CookieStorage.getItem('id'), 'shop');
+
+        CookieStorage.clear({ path: '/shop' });
+
+        assert.deepEqual(CookieStorage.getAll(), { id: 'root' });
+    });
+
+    it('returns cookies which weren\'t encoded as they are', () => {
+        jar.cookie = 'raw=a%zz';
+
+        assert.equal(CookieStorage.getItem('raw'), 'a%zz');
+    });
+
+    describe('attributes', () => {
+        it('writes Lax session cookies on the root path by default', () => {
+            CookieStorage.setItem('a', '1');
+
+            assert.equal(jar.written[0], 'a=1;path=/;sameSite=Lax');
+        });
+
+        it('writes the given attributes, a number as expiration in days', (t) => {
+            t.mock.method(Date, 'now', () => 0);
+
+            CookieStorage.setItem('a', '1', 1);
+            CookieStorage.setItem('b', '1', { domain: '.example.com', path: '/shop', maxAge: 60.5, sameSite: 'strict', secure: true });
+
+            assert.deepEqual(jar.written, [
+                'a=1;path=/;expires=Fri, 02 Jan 1970 00:00:00 GMT;sameSite=Lax',
+                'b=1;path=/shop;domain=.example.com;max-age=60;sameSite=Strict;secure',
+            ]);
+        });
+
+        it('makes SameSite=None and partitioned cookies secure', () => {
+            CookieStorage.setItem('a', '1', { sameSite: 'None' });
+            CookieStorage.setItem('b', '1', { partitioned: true });
+
+            assert.deepEqual(jar.written, [
+                'a=1;path=/;sameSite=None;secure',
+                'b=1;path=/;sameSite=Lax;secure;partitioned',
+            ]);
+        });
+
+        it('removes a cookie with the domain and path it was set with', () => {
+            CookieStorage.setItem('a', '1', { path: '/shop' });
+            CookieStorage.removeItem('a', { path: '/shop' });
+
+            assert.equal(CookieStorage.getItem('a'), null);
+            assert.match(jar.written[1], /^a=;path=\/shop;max-age=0;expires=Thu, 01 Jan 1970 00:00:00 GMT/);
+        });
+
+        it('rejects unknown SameSite values', () => {
+            assert.throws(() => CookieStorage.setItem('a', '1', { sameSite: 'sometimes' }), /Invalid sameSite value/);
+        });
+    });
+});
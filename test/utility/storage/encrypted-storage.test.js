@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EncryptedStorage from '../../../utility/storage/encrypted-storage';
+import MemoryStorage from '../../../utility/storage/memory-storage';
+import { IntegrityError } from '../../../utility/storage/storage-errors';
+
+/**
+ * @param {MemoryStorage} storage
+ * @param {object} options - Further options of the storage
+ *
+ * @returns {EncryptedStorage}
+ */
+function createStorage(storage, options = {}) {
+    return new EncryptedStorage(storage, Object.assign({ iterations: 1000, crypto: globalThis.crypto }, options));
+}
+
+describe('EncryptedStorage', () => {
+    it('stores the values encrypted and reads them with the same passphrase', async () => {
+        const backend = new MemoryStorage();
+        const storage = createStorage(backend, { passphrase: 'secret' });
+
+        await storage.set('address', { street: 'Main Street', since: new Date(0) });
+
+        assert.doesNotMatch(backend.getItem('encrypted:address'), /Main Street/);
+        assert.deepEqual(await createStorage(backend, { passphrase: 'secret' }).get('address'), {
+            street: 'Main Street',
+            since: new Date(0),
+        });
+        assert.equal(await storage.get('missing', 'default'), 'default');
+        await assert.rejects(createStorage(backend, { passphrase: 'wrong' }).get('address'), IntegrityError);
+    });
+
+    it('rejects a value which was moved to another key', async () => {
+        const backend = new MemoryStorage();
+        const storage = createStorage(backend, { passphrase: 'secret' });
+
+        await storage.set('a', 1);
+        backend.setItem('encrypted:b', backend.getItem('encrypted:a'));
+
+        await assert.rejects(storage.get('b'), error => error instanceof IntegrityError && error.key === 'b');
+    });
+
+    it('rejects every call of a storage with an invalid key', async () => {
+        const storage = createStorage(new MemoryStorage(), { key: new Uint8Array(3) });
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await assert.rejects(storage.set('a', 1));
+    });
+
+    it('re-encrypts all entries when the key is rotated, without listing its salt', async () => {
+        const backend = new MemoryStorage();
+        const storage = createStorage(backend, { prefix: 'encrypted-storage:', passphrase: 'old' });
+
+        await storage.set('a', 1);
+        await storage.set('b', 2);
+
+        assert.deepEqual(storage.keys(), ['a', 'b']);
+        assert.equal(await storage.rotateKey({ passphrase: 'new' }), 2);
+        assert.deepEqual(storage.keys(), ['a', 'b']);
+
+        const reopened = createStorage(backend, { prefix: 'encrypted-storage:', passphrase: 'new' });
+
+        assert.deepEqual([await reopened.get('a'), await reopened.get('b')], [1, 2]);
+        await assert.rejects(createStorage(backend, { prefix: 'encrypted-storage:', passphrase: 'old' }).get('a'), IntegrityError);
+    });
+
+    it('restores the entries and the key when a rotation can\'t write an entry', async (t) => {
+        const backend = new MemoryStorage();
+        const storage = createStorage(backend, { passphrase: 'old' });
+
+        await storage.set('a', 1);
+        await storage.set('b', 2);
+
+        const setItem = backend.setItem.bind(backend);
+        t.mock.method(backend, 'setItem', (key, value) => {
+            if (key === 'encrypted:b' && value !== backend.getItem(key)) {
+                throw new DOMException('The quota has been exceeded', 'QuotaExceededError');
+            }
+
+            return setItem(key, value);
+        });
+
+        await assert.rejects(storage.rotateKey({ passphrase: 'new' }), { name: 'QuotaExceededError' });
+        t.mock.restoreAll();
+
+        const reopened = createStorage(backend, { passphrase: 'old' });
+
+        assert.deepEqual([await reopened.get('a'), await reopened.get('b')], [1, 2]);
+        assert.deepEqual(backend.getItem('encrypted-storage:salt:encrypted::pending'), null);
+    });
+
+    it('reads the entries of a rotation which was interrupted', async () => {
+        const backend = new MemoryStorage();
+        const storage = createStorage(backend, { passphrase: 'old' });
+        const saltKey = 'encrypted-storage:salt:encrypted:';
+
+        await storage.set('a', 'A');
+        await storage.set('b', 'B');
+
+        const oldSalt = backend.getItem(saltKey);
+        const oldA = backend.getItem('encrypted:a');
+
+        await storage.rotateKey({ passphrase: 'new' });
+
+        // as if the page was closed after `b` was written: the new salt is pending and `a` still uses the old key
+        backend.setItem(`${saltKey}:pending`, backend.getItem(saltKey));
+        backend.setItem(saltKey, oldSalt);
+        backend.setItem('encrypted:a', oldA);
+
+        const withNew = createStorage(backend, { passphrase: 'new' });
+        const withOld = createStorage(backend, { passphrase: 'old' });
+
+        assert.equal(await withNew.get('b'), 'B');
+        assert.equal(await withOld.get('a'), 'A');
+        assert.deepEqual(withNew.keys(), ['a', 'b']);
+    });
+});
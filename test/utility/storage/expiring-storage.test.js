@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExpiringStorage from '../../../utility/storage/expiring-storage';
+import NamespacedStorage from '../../../utility/storage/namespaced-storage';
+import MemoryStorage from '../../../utility/storage/memory-storage';
+
+describe('ExpiringStorage', () => {
+    it('returns entries until their TTL is over and removes them when they are read', (t) => {
+        const now = t.mock.method(Date, 'now', () => 1000);
+        const backend = new MemoryStorage();
+        const storage = new ExpiringStorage(backend);
+
+        storage.setItem('short', 'a', 10);
+        storage.setItem('object', 'b', { ttl: 20 });
+        storage.setItem('forever', 'c');
+
+        assert.equal(storage.getItem('short'), 'a');
+        assert.equal(storage.getExpiration('short'), 1010);
+        assert.equal(storage.getExpiration('forever'), null);
+        assert.equal(backend.getItem('forever'), 'c');
+
+        now.mock.mockImplementation(() => 1010);
+
+        assert.equal(storage.getItem('short'), null);
+        assert.equal(storage.getItem('object'), 'b');
+        assert.equal(storage.length, 2);
+    });
+
+    it('removes all expired entries at once', (t) => {
+        const now = t.mock.method(Date, 'now', () => 1000);
+        const storage = new ExpiringStorage(new MemoryStorage());
+
+        storage.setItem('a', 'a', 10);
+        storage.setItem('b', 'b', 10);
+        storage.setItem('c', 'c', 100);
+        storage.setItem('d', 'd');
+
+        now.mock.mockImplementation(() => 1050);
+
+        assert.equal(storage.purgeExpired(), 2);
+        assert.equal(storage.length, 2);
+        assert.equal(storage.getItem('c'), 'c');
+    });
+
+    it('lets the entries of a NamespacedStorage expire', (t) => {
+        const now = t.mock.method(Date, 'now', () => 1000);
+        const namespace = new NamespacedStorage('session', { storage: new MemoryStorage() });
+
+        namespace.set('token', { value: 'token' }, { ttl: 10 });
+        namespace.set('user', 'name');
+
+        assert.deepEqual(namespace.get('token'), { value: 'token' });
+
+        now.mock.mockImplementation(() => 1010);
+
+        assert.equal(namespace.get('token', 'expired'), 'expired');
+        assert.deepEqual(namespace.keys(), ['user']);
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import NamespacedStorage from '../../../utility/storage/namespaced-storage';
+import MemoryStorage from '../../../utility/storage/memory-storage';
+
+describe('NamespacedStorage', () => {
+    it('keeps the entries of each namespace apart', () => {
+        const storage = new MemoryStorage();
+        const wishlist = new NamespacedStorage('wishlist', { storage });
+        const cart = new NamespacedStorage('cart', { storage });
+
+        wishlist.set('items', [1, 2]);
+        cart.set('items', [3]);
+
+        assert.deepEqual(wishlist.get('items'), [1, 2]);
+        assert.deepEqual(cart.keys(), ['items']);
+        assert.equal(storage.getItem('cart:items'), '[3]');
+        assert.equal(wishlist.get('missing', 'default'), 'default');
+
+        wishlist.clear();
+
+        assert.deepEqual(wishlist.keys(), []);
+        assert.deepEqual(cart.get('items'), [3]);
+    });
+
+    it('restores dates, sets and maps, also nested and invalid dates', () => {
+        const namespace = new NamespacedStorage('types', { storage: new MemoryStorage() });
+
+        namespace.set('value', {
+            date: new Date(0),
+            invalid: new Date('invalid'),
+            set: new Set([new Date(5)]),
+            map: new Map([['key', { date: new Date(10) }]]),
+        });
+
+        const value = namespace.get('value');
+
+        assert.equal(value.date.getTime(), 0);
+        assert.ok(value.invalid instanceof Date && Number.isNaN(value.invalid.getTime()));
+        assert.deepEqual(Array.from(value.set), [new Date(5)]);
+        assert.deepEqual(value.map.get('key'), { date: new Date(10) });
+    });
+
+    it('restores objects with a __type property as they were stored', () => {
+        const namespace = new NamespacedStorage('types', { storage: new MemoryStorage() });
+        const value = { __type: 'Date', value: 'kept', inner: { __type: 'Set', value: [1] } };
+
+        namespace.set('value', value);
+
+        assert.deepEqual(namespace.get('value'), value);
+    });
+
+    it('treats values which can\'t be parsed as missing', () => {
+        const storage = new MemoryStorage();
+        const namespace = new NamespacedStorage('broken', { storage });
+
+        namespace.set('valid', 1);
+        storage.setItem('broken:invalid', '{nope');
+
+        assert.equal(namespace.has('invalid'), false);
+        assert.equal(namespace.get('invalid', 'default'), 'default');
+        assert.deepEqual(namespace.keys(), ['valid']);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ObservableStorage, { CHANGE_SOURCE } from '../../../utility/storage/observable-storage';
+import MemoryStorage from '../../../utility/storage/memory-storage';
+
+describe('ObservableStorage', () => {
+    it('publishes the changes to the listeners of all changes, the key and its namespace', () => {
+        const storage = new ObservableStorage(new MemoryStorage());
+        const seen = [];
+
+        storage.subscribe(null, event => seen.push(`all ${event.detail.key}`));
+        storage.subscribe('session:token', event => seen.push(`key ${event.detail.newValue}`));
+        storage.subscribe({ namespace: 'session' }, event => seen.push(`namespace ${event.detail.key}`));
+
+        storage.setItem('session:token', 'a');
+        storage.setItem('session:token', 'a');
+        storage.setItem('cart:items', '[]');
+        storage.removeItem('session:user');
+
+        assert.deepEqual(seen, ['all session:token', 'key a', 'namespace session:token', 'all cart:items']);
+    });
+
+    it('publishes a cleared storage to the listeners of every key and namespace', () => {
+        const storage = new ObservableStorage(new MemoryStorage());
+        const seen = [];
+
+        storage.subscribe(null, event => seen.push(`all ${event.detail.key}`));
+        storage.subscribe({ namespace: 'session' }, event => seen.push(`namespace ${event.detail.key}`));
+
+        const unsubscribe = storage.subscribe('session:token', event => seen.push(`key ${event.detail.key}`));
+
+        storage.clear();
+        unsubscribe();
+        unsubscribe();
+        storage.clear();
+
+        assert.deepEqual(seen, ['all null', 'namespace null', 'key null', 'all null', 'namespace null']);
+    });
+
+    it('publishes the changes other tabs report through the storage event', (t) => {
+        const backend = new MemoryStorage();
+
+        globalThis.window = new EventTarget();
+        t.after(() => {
+            delete globalThis.window;
+        });
+
+        const storage = new ObservableStorage(backend);
+        const seen = [];
+
+        storage.subscribe('session:token', event => seen.push(event.detail));
+        t.after(() => storage.destroy());
+
+        const event = Object.assign(new Event('storage'), {
+            key: 'session:token',
+            oldValue: null,
+            newValue: 'b',
+            storageArea: backend,
+        });
+        window.dispatchEvent(event);
+        window.dispatchEvent(Object.assign(new Event('storage'), { key: 'session:token', storageArea: new MemoryStorage() }));
+
+        assert.deepEqual(seen, [{
+            key: 'session:token',
+            oldValue: null,
+            newValue: 'b',
+            source: CHANGE_SOURCE.STORAGE,
+            tabId: null,
+        }]);
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QuotaAwareStorage, { QUOTA_EVENT, QUOTA_POLICY } from '../../../utility/storage/quota-aware-storage';
+import ExpiringStorage from '../../../utility/storage/expiring-storage';
+import MemoryStorage from '../../../utility/storage/memory-storage';
+
+/**
+ * A storage which throws a `QuotaExceededError` once its keys and values exceed the limit in characters
+ */
+class LimitedStorage extends MemoryStorage {
+
+    /**
+     * @param {number} limit
+     */
+    constructor(limit) {
+        super();
+        this.limit = limit;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     */
+    setItem(key, value) {
+        const previous = this.getItem(key);
+        super.setItem(key, String(value));
+
+        if (this.getSize() <= this.limit) {
+            return;
+        }
+
+        if (previous === null) {
+            this.removeItem(key);
+        } else {
+            super.setItem(key, previous);
+        }
+
+        throw new DOMException('The quota has been exceeded', 'QuotaExceededError');
+    }
+
+    /**
+     * @returns {number}
+     */
+    getSize() {
+        return Object.keys(this._storage).reduce((size, key) => size + key.length + this._storage[key].length, 0);
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    keys() {
+        return Object.keys(this._storage);
+    }
+}
+
+/**
+ * Lets the access times written once per task reach the storage
+ *
+ * @returns {Promise<void>}
+ */
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('QuotaAwareStorage', () => {
+    it('evicts the least recently used entries of the namespace of the written key', (t) => {
+        let now = 1000;
+        t.mock.method(Date, 'now', () => now);
+
+        const backend = new LimitedStorage(160);
+        const storage = new QuotaAwareStorage(backend, { policies: [QUOTA_POLICY.LRU] });
+
+        backend.setItem('storage-schema:catalog', '1');
+        storage.setItem('other:1', 'o'.repeat(20));
+        ['1', '2', '3'].forEach((name) => {
+            now += 1000;
+            storage.setItem(`catalog:${name}`, name.repeat(20));
+        });
+
+        now += 1000;
+        storage.getItem('catalog:1');
+        storage.setItem('catalog:4', '4'.repeat(40));
+
+        assert.equal(storage.getItem('catalog:4'), '4'.repeat(40));
+        assert.equal(backend.getItem('catalog:1'), '1'.repeat(20));
+        assert.equal(backend.getItem('catalog:2'), null);
+        assert.equal(backend.getItem('other:1'), 'o'.repeat(20));
+        assert.equal(backend.getItem('storage-schema:catalog'), '1');
+    });
+
+    it('keeps the access times across instances', async (t) => {
+        let now = 1000;
+        t.mock.method(Date, 'now', () => now);
+
+        const backend = new LimitedStorage(200);
+        const first = new QuotaAwareStorage(backend, { policies: [QUOTA_POLICY.LRU] });
+
+        ['1', '2', '3'].forEach((name) => {
+            now += 1000;
+            first.setItem(`catalog:${name}`, name.repeat(20));
+        });
+
+        now += 1000;
+        first.getItem('catalog:1');
+        await flush();
+
+        const evicted = [];
+        const second = new QuotaAwareStorage(backend, {
+            policies: [QUOTA_POLICY.LRU],
+            emitter: { publish: (eventName, detail) => evicted.push(eventName, ...detail.evicted) },
+        });
+
+        second.setItem('catalog:4', '4'.repeat(80));
+
+        assert.deepEqual(evicted, [QUOTA_EVENT.EXCEEDED, 'catalog:2', 'catalog:3']);
+    });
+
+    it('removes the expired entries first and keeps the value in memory if nothing else helps', (t) => {
+        const now = t.mock.method(Date, 'now', () => 1000);
+        const backend = new LimitedStorage(100);
+        const storage = new QuotaAwareStorage(backend, { policies: [QUOTA_POLICY.EXPIRED, QUOTA_POLICY.MEMORY] });
+
+        new ExpiringStorage(backend).setItem('session:token', 't'.repeat(30), 10);
+        now.mock.mockImplementation(() => 2000);
+
+        storage.setItem('a', 'a'.repeat(50));
+        storage.setItem('b', 'b'.repeat(50));
+
+        assert.deepEqual(backend.keys(), ['a']);
+        assert.equal(storage.getItem('b'), 'b'.repeat(50));
+        assert.equal(storage.length, 2);
+    });
+
+    it('throws the quota error and reports it if no policy makes room', () => {
+        const events = [];
+        const backend = new LimitedStorage(50);
+        const storage = new QuotaAwareStorage(backend, {
+            policies: [QUOTA_POLICY.LRU],
+            emitter: { publish: (eventName, detail) => events.push(detail) },
+        });
+
+        backend.setItem('offline', 'o'.repeat(30));
+
+        assert.throws(() => storage.setItem('catalog:1', 'c'.repeat(30)), { name: 'QuotaExceededError' });
+        assert.equal(events.length, 1);
+        assert.equal(events[0].policy, null);
+        assert.equal(events[0].namespace, 'catalog');
+        assert.equal(backend.getItem('offline'), 'o'.repeat(30));
+    });
+});
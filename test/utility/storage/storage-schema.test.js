@@ -0,0 +1,69 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import StorageSchema from '../../../utility/storage/storage-schema';
+import NamespacedStorage from '../../../utility/storage/namespaced-storage';
+import ExpiringStorage from '../../../utility/storage/expiring-storage';
+import MemoryStorage from '../../../utility/storage/memory-storage';
+import { MigrationError } from '../../../utility/storage/storage-errors';
+
+describe('StorageSchema', () => {
+    afterEach(() => StorageSchema.unregister('wishlist'));
+
+    it('migrates the entries of a namespace on its first access and keeps their expiration', () => {
+        const storage = new MemoryStorage();
+        const stored = new NamespacedStorage('wishlist', { storage });
+
+        stored.set('items', [1, 2]);
+        stored.set('removed', true);
+        stored.set('token', 'token', { ttl: 60000 });
+
+        const expiresAt = new ExpiringStorage(storage).getExpiration('wishlist:token');
+
+        StorageSchema.register('wishlist', {
+            version: 2,
+            migrations: {
+                1: (entries) => {
+                    delete entries.removed;
+                },
+                2: entries => Object.assign(entries, { items: new Set(entries.items) }),
+            },
+        });
+
+        const wishlist = new NamespacedStorage('wishlist', { storage });
+
+        assert.deepEqual(wishlist.get('items'), new Set([1, 2]));
+        assert.deepEqual(wishlist.keys().sort(), ['items', 'token']);
+        assert.equal(new ExpiringStorage(storage).getExpiration('wishlist:token'), expiresAt);
+        assert.equal(storage.getItem('storage-schema:wishlist'), '2');
+    });
+
+    it('keeps the entries when a migration fails, and removes them with reset', () => {
+        const storage = new MemoryStorage();
+        const failures = [];
+
+        new NamespacedStorage('wishlist', { storage }).set('items', [1]);
+
+        const register = reset => StorageSchema.register('wishlist', {
+            version: 1,
+            migrations: {
+                1: () => {
+                    throw new Error('invalid entries');
+                },
+            },
+            reset,
+            onFailure: error => failures.push(error),
+        });
+
+        register(false);
+
+        assert.deepEqual(new NamespacedStorage('wishlist', { storage }).keys(), ['items']);
+        assert.equal(storage.getItem('storage-schema:wishlist'), null);
+
+        register(true);
+
+        assert.deepEqual(new NamespacedStorage('wishlist', { storage }).keys(), []);
+        assert.equal(storage.getItem('storage-schema:wishlist'), '1');
+        assert.equal(failures.length, 2);
+        assert.ok(failures.every(error => error instanceof MigrationError));
+    });
+});
@@ -1,3 +1,14 @@
+/**
+ * The values of the `SameSite` attribute
+ *
+ * @type {{STRICT: string, LAX: string, NONE: string}}
+ */
+export const SAME_SITE = {
+    STRICT: 'Strict',
+    LAX: 'Lax',
+    NONE: 'None',
+};
+
 /**
  * @class CookieStorage
  *
@@ -8,6 +19,18 @@
  * The class is designed to abstract away the complexity of dealing with cookies and ensures that cookies are
  * set with common security standards like 'SameSite' and optional 'secure' attributes.
  *
+ * It implements the Web Storage interface (`getItem`, `setItem`, `removeItem`, `key`, `clear` and `length`), so it
+ * can replace `localStorage` when that isn't available. Names and values are URI encoded.
+ *
+ * The attributes of a cookie are passed as options to `setItem` and `removeItem`. Cookies without `expires` or
+ * `maxAge` are session cookies; `SameSite=None` and `partitioned` cookies are always `secure`.
+ *
+ * @example
+ * CookieStorage.setItem('consent', 'all', { expires: 365, sameSite: 'Strict' });
+ * CookieStorage.setItem('widget', '1', { domain: '.example.com', path: '/shop', maxAge: 3600 });
+ * CookieStorage.setItem('embed', '1', { sameSite: 'None', partitioned: true });
+ * CookieStorage.removeItem('widget', { domain: '.example.com', path: '/shop' });
+ *
  * @author Daouda Warme
  * */
 export default class CookieStorage {
@@ -22,27 +45,27 @@ export default class CookieStorage {
     }
 
     /**
-     * Sets cookie with name, value and expiration date
+     * Sets cookie with name, value and attributes
      *
      * @param {string} key
      * @param {string} value
-     *
-     * @param {number} expirationDays
+     * @param {number|object} [options = {}] - The attributes, a number is taken as `expires` in days
+     * @param {string} [options.domain] - Defaults to the current host, without subdomains
+     * @param {string} [options.path = '/']
+     * @param {Date|number} [options.expires] - The expiration date, or the days until it
+     * @param {number} [options.maxAge] - The seconds until the cookie expires, takes precedence over `expires`
+     * @param {'Strict'|'Lax'|'None'} [options.sameSite = 'Lax']
+     * @param {boolean} [options.secure] - Defaults to `true` on https pages
+     * @param {boolean} [options.partitioned = false] - Stores the cookie per top-level site (CHIPS)
      */
-    static setItem(key, value, expirationDays) {
+    static setItem(key, value, options = {}) {
         if (typeof key === 'undefined' || key === null) {
             throw new Error('You must specify a key to set a cookie');
         }
 
-        const date = new Date();
-        date.setTime(date.getTime() + (expirationDays * 24 * 60 * 60 * 1000));
+        const attributes = typeof options === 'number' ? { expires: options } : (options || {});
 
-        let secure = '';
-        if (location.protocol === 'https:') {
-            secure = 'secure';
-        }
-
-        document.cookie = `${key}=${value};expires=${date.toUTCString()};path=/;sameSite=lax;${secure}`;
+        document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}${CookieStorage._serializeAttributes(attributes)}`;
     }
 
     /**
@@ -50,37 +73,182 @@ export default class CookieStorage {
      *
      * @param {string} key
      *
-     * @returns {string} cookieValue
+     * @returns {string|null} cookieValue, `null` if there is no cookie with the name
      */
     static getItem(key) {
         if (!key) {
-            return false;
+            return null;
         }
 
-        const name = key + '=';
-        const allCookies = document.cookie.split(';');
+        const cookie = CookieStorage._readAll().find(([name]) => name === String(key));
+
+        return cookie ? cookie[1] : null;
+    }
 
-        for (let i = 0; i < allCookies.length; i++) {
-            let singleCookie = allCookies[i];
+    /**
+     * removes a cookie, the domain and path have to match the ones it was set with
+     *
+     * @param key
+     * @param {object} [options = {}]
+     * @param {string} [options.domain]
+     * @param {string} [options.path = '/']
+     * @param {'Strict'|'Lax'|'None'} [options.sameSite = 'Lax']
+     * @param {boolean} [options.secure]
+     * @param {boolean} [options.partitioned = false] - Required to remove a partitioned cookie
+     */
+    static removeItem(key, options = {}) {
+        const attributes = Object.assign({}, options, { expires: new Date(0), maxAge: 0 });
 
-            while (singleCookie.charAt(0) === ' ') {
-                singleCookie = singleCookie.substring(1);
-            }
+        document.cookie = `${encodeURIComponent(key)}=${CookieStorage._serializeAttributes(attributes)}`;
+    }
 
-            if (singleCookie.indexOf(name) === 0) {
-                return singleCookie.substring(name.length, singleCookie.length);
+    /**
+     * returns all cookies which are readable by scripts, by name
+     *
+     * @returns {Object<string, string>}
+     */
+    static getAll() {
+        return CookieStorage._readAll().reduce((cookies, [name, value]) => {
+            // like the browser, the first cookie of a name wins, it has the most specific path
+            if (!Object.prototype.hasOwnProperty.call(cookies, name)) {
+                cookies[name] = value;
             }
+
+            return cookies;
+        }, {});
+    }
+
+    /**
+     * returns the name of the cookie at the given position, cookies of the same name on different paths count once
+     *
+     * @param {number} index
+     *
+     * @returns {string|null}
+     */
+    static key(index) {
+        const name = Object.keys(CookieStorage.getAll())[index];
+
+        return typeof name === 'undefined' ? null : name;
+    }
+
+    /**
+     * removes all cookies which are readable by scripts
+     *
+     * @param {object} [options = {}] - The domain and path of the cookies, see `removeItem`
+     */
+    static clear(options = {}) {
+        Object.keys(CookieStorage.getAll()).forEach(name => CookieStorage.removeItem(name, options));
+    }
+
+    /**
+     * returns the number of cookie names which are readable by scripts
+     *
+     * @returns {number}
+     */
+    static get length() {
+        return Object.keys(CookieStorage.getAll()).length;
+    }
+
+    /**
+     * returns the attributes of a cookie, each with a leading `;`
+     *
+     * @param {object} options - see `setItem`
+     *
+     * @returns {string}
+     * @private
+     */
+    static _serializeAttributes(options) {
+        const sameSite = CookieStorage._normalizeSameSite(options.sameSite || SAME_SITE.LAX);
+        const partitioned = options.partitioned === true;
+        const secure = sameSite === SAME_SITE.NONE || partitioned || (typeof options.secure === 'boolean'
+            ? options.secure
+            : typeof location !== 'undefined' && location.protocol === 'https:');
+        let attributes = `;path=${options.path || '/'}`;
+
+        if (options.domain) {
+            attributes += `;domain=${options.domain}`;
+        }
+
+        if (typeof options.maxAge === 'number') {
+            attributes += `;max-age=${Math.floor(options.maxAge)}`;
+        }
+
+        if (options.expires instanceof Date) {
+            attributes += `;expires=${options.expires.toUTCString()}`;
+        } else if (typeof options.expires === 'number') {
+            attributes += `;expires=${new Date(Date.now() + options.expires * 24 * 60 * 60 * 1000).toUTCString()}`;
         }
 
-        return false;
+        attributes += `;sameSite=${sameSite}`;
+
+        if (secure) {
+            attributes += ';secure';
+        }
+
+        if (partitioned) {
+            attributes += ';partitioned';
+        }
+
+        return attributes;
     }
 
     /**
-     * removes a cookie
+     * @param {string} sameSite
      *
-     * @param key
+     * @returns {string}
+     * @private
      */
-    static removeItem(key) {
-        document.cookie = `${key}= ; expires = Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+    static _normalizeSameSite(sameSite) {
+        const value = Object.values(SAME_SITE).find(option => option.toLowerCase() === String(sameSite).toLowerCase());
+
+        if (!value) {
+            throw new Error(`Invalid sameSite value "${sameSite}", use Strict, Lax or None`);
+        }
+
+        return value;
+    }
+
+    /**
+     * returns the decoded name and value of all cookies
+     *
+     * @returns {Array<string[]>}
+     * @private
+     */
+    static _readAll() {
+        if (!document.cookie) {
+            return [];
+        }
+
+        return document.cookie.split(';').reduce((cookies, cookie) => {
+            const singleCookie = cookie.trim();
+            const separator = singleCookie.indexOf('=');
+
+            if (singleCookie === '') {
+                return cookies;
+            }
+
+            const name = separator === -1 ? '' : singleCookie.substring(0, separator);
+            const value = separator === -1 ? singleCookie : singleCookie.substring(separator + 1);
+
+            cookies.push([CookieStorage._decode(name), CookieStorage._decode(value)]);
+
+            return cookies;
+        }, []);
+    }
+
+    /**
+     * decodes a name or value, cookies which weren't encoded are returned as they are
+     *
+     * @param {string} value
+     *
+     * @returns {string}
+     * @private
+     */
+    static _decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
     }
 }
@@ -0,0 +1,451 @@
+import Storage from './storage';
+import NamespacedStorage from './namespaced-storage';
+import { IntegrityError } from './storage-errors';
+
+/**
+ * Marks an encrypted value, it is followed by the IV and the cipher text, both base64 encoded
+ *
+ * @type {string}
+ */
+const ENVELOPE_MARKER = 'aes-gcm:1:';
+
+/**
+ * The length of the IV in bytes, as recommended for AES-GCM
+ *
+ * @type {number}
+ */
+const IV_LENGTH = 12;
+
+/**
+ * @class EncryptedStorage
+ * @description
+ * EncryptedStorage keeps values in a storage with the Web Storage interface, by default the one chosen by
+ * `StorageSingleton`, encrypted with AES-GCM through `crypto.subtle`. Since WebCrypto is asynchronous, `get`,
+ * `set`, `has` and `remove` return Promises. Values are stored as JSON like in `NamespacedStorage`, keys are
+ * stored as they are, below `prefix`.
+ *
+ * The key is either an AES `CryptoKey` or raw key bytes, or it is derived from a passphrase with PBKDF2. The salt
+ * of the passphrase is generated once and kept in the storage below `saltKey`, which defaults to a key of its own
+ * for every `prefix`, so vaults with different prefixes can share a storage.
+ *
+ * Every value is bound to its key, an entry which was changed, copied to another key or encrypted with another
+ * key rejects with an `IntegrityError`. `rotateKey()` re-encrypts all entries with a new key. The new salt of a
+ * rotation is kept below `saltKey + ':pending'` until all entries are written; if the page is closed in between,
+ * the next instance reads the entries with the key derived from either salt.
+ *
+ * Writes and key rotations run one after another in the order they were called, reads wait for the ones before them.
+ *
+ * @example
+ * const vault = new EncryptedStorage(Storage, { passphrase: customerToken });
+ *
+ * vault.set('billing-address', address)
+ *     .then(() => vault.get('billing-address'))
+ *     .then(stored => form.fill(stored));
+ *
+ * vault.rotateKey({ passphrase: newCustomerToken });
+ *
+ * @author Daouda Warme
+ */
+export default class EncryptedStorage {
+
+    /**
+     * @param {Storage|MemoryStorage|CookieStorage} storage - The wrapped storage
+     * @param {object} options - Either `key` or `passphrase` is required
+     * @param {CryptoKey|ArrayBuffer|Uint8Array|null} [options.key = null] - An AES-GCM key, or 16, 24 or 32 raw bytes
+     * @param {string|null} [options.passphrase = null] - The key is derived from it with PBKDF2
+     * @param {number} [options.iterations = 310000] - The PBKDF2 iterations
+     * @param {string} [options.prefix = 'encrypted:'] - Is prepended to the keys in the storage
+     * @param {string|null} [options.saltKey = null] - Where the salt of the passphrase is kept, defaults to
+     * `'encrypted-storage:salt:' + prefix`
+     * @param {Crypto} [options.crypto] - Defaults to `window.crypto`
+     */
+    constructor(storage = Storage, {
+        key = null,
+        passphrase = null,
+        iterations = 310000,
+        prefix = 'encrypted:',
+        saltKey = null,
+        crypto = typeof window !== 'undefined' ? window.crypto : null,
+    } = {}) {
+        if (!crypto || !crypto.subtle) {
+            throw new Error('The EncryptedStorage requires "crypto.subtle", which is only available in secure contexts');
+        }
+
+        if (!key && !passphrase) {
+            throw new Error('The EncryptedStorage requires a "key" or a "passphrase"');
+        }
+
+        /**
+         * @private
+         * @property {Storage|MemoryStorage|CookieStorage} _storage
+         */
+        this._storage = storage;
+
+        /**
+         * @private
+         * @property {Crypto} _crypto
+         */
+        this._crypto = crypto;
+
+        /**
+         * @private
+         * @property {number} _iterations
+         */
+        this._iterations = iterations;
+
+        /**
+         * @private
+         * @property {string} _prefix
+         */
+        this._prefix = prefix;
+
+        /**
+         * @private
+         * @property {string} _saltKey
+         */
+        this._saltKey = saltKey || `encrypted-storage:salt:${prefix}`;
+
+        /**
+         * @private
+         * @property {Promise<CryptoKey>} _key
+         */
+        this._key = this._createKey({ key, passphrase }, this._readSalt(this._saltKey));
+
+        const pendingSalt = passphrase ? this._readSalt(this._getPendingSaltKey()) : null;
+
+        /**
+         * @private
+         * @property {Promise<CryptoKey>|null} _fallbackKey - Derived from the salt of an interrupted rotation
+         */
+        this._fallbackKey = pendingSalt ? this._createKey({ key, passphrase }, pendingSalt) : null;
+
+        // an invalid key rejects every call, without an unhandled rejection before the first one
+        this._key.catch(() => {});
+
+        if (this._fallbackKey) {
+            this._fallbackKey.catch(() => {});
+        }
+
+        /**
+         * @private
+         * @property {Promise<void>} _queue - Runs writes and key rotations one after another
+         */
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Returns the decrypted value, or the default value if the key is missing
+     *
+     * @param {string} key
+     * @param {*} defaultValue
+     *
+     * @returns {Promise<*>} rejects with an `IntegrityError` if the entry can't be decrypted
+     */
+    get(key, defaultValue = null) {
+        return this._queue.then(() => {
+            const stored = this._storage.getItem(this._prefix + key);
+
+            if (stored === null || typeof stored === 'undefined') {
+                return defaultValue;
+            }
+
+            return this._decryptEntry(key, stored);
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value - Anything JSON can represent, plus `Date`, `Map` and `Set`
+     *
+     * @returns {Promise<void>}
+     */
+    set(key, value) {
+        return this._enqueue(() => this._key
+            .then(cryptoKey => this._encrypt(cryptoKey, key, value))
+            .then((encrypted) => {
+                this._storage.setItem(this._prefix + key, encrypted);
+            }));
+    }
+
+    /**
+     * @param {string} key
+     *
+     * @returns {Promise<boolean>}
+     */
+    has(key) {
+        return this._queue.then(() => {
+            const stored = this._storage.getItem(this._prefix + key);
+
+            return stored !== null && typeof stored !== 'undefined';
+        });
+    }
+
+    /**
+     * @param {string} key
+     *
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return this._enqueue(() => {
+            this._storage.removeItem(this._prefix + key);
+        });
+    }
+
+    /**
+     * @returns {string[]} the keys of the encrypted entries, without prefix. Pending writes aren't included yet.
+     */
+    keys() {
+        const saltKeys = [this._saltKey, this._getPendingSaltKey()];
+
+        return NamespacedStorage.getStorageKeys(this._storage)
+            .filter(key => key.indexOf(this._prefix) === 0 && saltKeys.indexOf(key) === -1)
+            .map(key => key.slice(this._prefix.length));
+    }
+
+    /**
+     * Re-encrypts all entries with a new key, which is used from then on. The rotation starts once the writes
+     * called before it are done. All entries are decrypted before the first one is written, so an entry which fails
+     * the integrity check leaves the storage and the key unchanged. If an entry can't be written, e.g. because the
+     * storage is full, the entries written before are restored.
+     *
+     * @param {object} options
+     * @param {CryptoKey|ArrayBuffer|Uint8Array|null} [options.key = null]
+     * @param {string|null} [options.passphrase = null] - A new salt is generated for it
+     *
+     * @returns {Promise<number>} the number of re-encrypted entries, rejects with an `IntegrityError`
+     */
+    rotateKey({ key = null, passphrase = null } = {}) {
+        return this._enqueue(() => {
+            const salt = passphrase !== null ? this._crypto.getRandomValues(new Uint8Array(16)) : null;
+            const keys = this.keys();
+            const stored = keys.map(entryKey => this._storage.getItem(this._prefix + entryKey));
+            let newCryptoKey;
+
+            return this._createKey({ key, passphrase }, salt)
+                .then((createdKey) => {
+                    newCryptoKey = createdKey;
+
+                    return Promise.all(keys.map((entryKey, index) => this._decryptEntry(entryKey, stored[index])));
+                })
+                .then(values => Promise.all(values.map((value, index) => this._encrypt(newCryptoKey, keys[index], value))))
+                .then((encrypted) => {
+                    const pendingSaltKey = this._getPendingSaltKey();
+                    let written = 0;
+
+                    try {
+                        // the new salt is stored first, so the entries can be read if the page is closed meanwhile
+                        if (salt) {
+                            this._storage.setItem(pendingSaltKey, EncryptedStorage._toBase64(salt));
+                        }
+
+                        for (; written < encrypted.length; written++) {
+                            this._storage.setItem(this._prefix + keys[written], encrypted[written]);
+                        }
+                    } catch (error) {
+                        for (let index = 0; index < written; index++) {
+                            this._storage.setItem(this._prefix + keys[index], stored[index]);
+                        }
+
+                        this._storage.removeItem(pendingSaltKey);
+                        throw error;
+                    }
+
+                    if (salt) {
+                        this._storage.setItem(this._saltKey, EncryptedStorage._toBase64(salt));
+                    }
+
+                    this._storage.removeItem(pendingSaltKey);
+                    this._key = Promise.resolve(newCryptoKey);
+                    this._fallbackKey = null;
+
+                    return keys.length;
+                });
+        });
+    }
+
+    /**
+     * @private
+     * Runs the task once the writes and rotations before it are done
+     *
+     * @param {function(): (Promise<*>|*)} task
+     *
+     * @returns {Promise<*>}
+     */
+    _enqueue(task) {
+        const result = this._queue.then(task);
+
+        // a failed task doesn't stop the ones after it
+        this._queue = result.then(() => undefined, () => undefined);
+
+        return result;
+    }
+
+    /**
+     * @private
+     * @returns {string} where the salt of a running rotation is kept
+     */
+    _getPendingSaltKey() {
+        return `${this._saltKey}:pending`;
+    }
+
+    /**
+     * @private
+     * Decrypts a stored value with the current key, or with the key of an interrupted rotation
+     *
+     * @param {string} key
+     * @param {string} stored
+     *
+     * @returns {Promise<*>} rejects with an `IntegrityError`
+     */
+    _decryptEntry(key, stored) {
+        const decrypted = this._key.then(cryptoKey => this._decrypt(cryptoKey, key, stored));
+        const fallbackKey = this._fallbackKey;
+
+        if (!fallbackKey) {
+            return decrypted;
+        }
+
+        return decrypted.catch(error => fallbackKey
+            .then(cryptoKey => this._decrypt(cryptoKey, key, stored))
+            .catch(() => {
+                throw error;
+            }));
+    }
+
+    /**
+     * @private
+     * @param {{key: CryptoKey|ArrayBuffer|Uint8Array|null, passphrase: string|null}} options
+     * @param {Uint8Array|null} salt - The salt of the passphrase, generated and stored if missing
+     *
+     * @returns {Promise<CryptoKey>}
+     */
+    _createKey({ key, passphrase }, salt) {
+        const subtle = this._crypto.subtle;
+
+        if (key && typeof key === 'object' && key.type === 'secret') {
+            return Promise.resolve(key);
+        }
+
+        if (key) {
+            return subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        }
+
+        if (typeof passphrase !== 'string' || passphrase === '') {
+            return Promise.reject(new Error('The EncryptedStorage requires a "key" or a "passphrase"'));
+        }
+
+        let usedSalt = salt;
+
+        if (!usedSalt) {
+            usedSalt = this._crypto.getRandomValues(new Uint8Array(16));
+            this._storage.setItem(this._saltKey, EncryptedStorage._toBase64(usedSalt));
+        }
+
+        return subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+            .then(material => subtle.deriveKey(
+                { name: 'PBKDF2', salt: usedSalt, iterations: this._iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt'],
+            ));
+    }
+
+    /**
+     * @private
+     * @param {CryptoKey} cryptoKey
+     * @param {string} key - Is authenticated together with the value
+     * @param {*} value
+     *
+     * @returns {Promise<string>}
+     */
+    _encrypt(cryptoKey, key, value) {
+        const iv = this._crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const data = new TextEncoder().encode(NamespacedStorage.serialize(value));
+
+        return this._crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(key) }, cryptoKey, data)
+            .then(cipherText => `${ENVELOPE_MARKER}${EncryptedStorage._toBase64(iv)}:${EncryptedStorage._toBase64(new Uint8Array(cipherText))}`);
+    }
+
+    /**
+     * @private
+     * @param {CryptoKey} cryptoKey
+     * @param {string} key
+     * @param {string} stored
+     *
+     * @returns {Promise<*>} rejects with an `IntegrityError`
+     */
+    _decrypt(cryptoKey, key, stored) {
+        const parts = typeof stored === 'string' && stored.indexOf(ENVELOPE_MARKER) === 0
+            ? stored.slice(ENVELOPE_MARKER.length).split(':')
+            : [];
+
+        if (parts.length !== 2) {
+            return Promise.reject(new IntegrityError(key));
+        }
+
+        let iv;
+        let cipherText;
+
+        try {
+            iv = EncryptedStorage._fromBase64(parts[0]);
+            cipherText = EncryptedStorage._fromBase64(parts[1]);
+        } catch (e) {
+            return Promise.reject(new IntegrityError(key, e));
+        }
+
+        return this._crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(key) }, cryptoKey, cipherText)
+            .then(data => NamespacedStorage.deserialize(new TextDecoder().decode(data)), (error) => {
+                throw new IntegrityError(key, error);
+            });
+    }
+
+    /**
+     * @private
+     * @param {string} saltKey
+     *
+     * @returns {Uint8Array|null} the stored salt of the passphrase
+     */
+    _readSalt(saltKey) {
+        const salt = this._storage.getItem(saltKey);
+
+        try {
+            return salt ? EncryptedStorage._fromBase64(salt) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Uint8Array} bytes
+     *
+     * @returns {string}
+     */
+    static _toBase64(bytes) {
+        let binary = '';
+
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return btoa(binary);
+    }
+
+    /**
+     * @private
+     * @param {string} text
+     *
+     * @returns {Uint8Array}
+     */
+    static _fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes;
+    }
+}
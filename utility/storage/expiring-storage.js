@@ -0,0 +1,225 @@
+import Storage, { resolveStorage } from './storage';
+import CookieStorage from './cookie-storage';
+
+/**
+ * Marks a stored value which expires, it is followed by the expiration timestamp and the value
+ *
+ * @type {string}
+ */
+const EXPIRES_MARKER = '\u001fexpires:';
+
+/**
+ * Separates the expiration timestamp from the value
+ *
+ * @type {string}
+ */
+const VALUE_SEPARATOR = '\u001f';
+
+/**
+ * @class ExpiringStorage
+ * @description
+ * ExpiringStorage adds expiring entries to a storage with the Web Storage interface: `localStorage`,
+ * `sessionStorage`, `CookieStorage` or `MemoryStorage`, by default the one chosen by `StorageSingleton`.
+ * `setItem` accepts a TTL in ms, the expiration date is stored together with the value, so it behaves the same in
+ * every backend. Cookies additionally receive a matching `max-age`, so the browser drops them as well.
+ *
+ * Expired entries are removed lazily when they are read, `purgeExpired()` removes all of them at once.
+ * `key()` and `length` still count expired entries which weren't read or purged yet. Entries written without
+ * TTL are stored unchanged and never expire.
+ *
+ * @example
+ * const storage = new ExpiringStorage();
+ * storage.setItem('banner-dismissed', '1', 7 * 24 * 60 * 60 * 1000);
+ * storage.getItem('banner-dismissed'); // '1', or null once the week is over
+ *
+ * @author Daouda Warme
+ */
+export default class ExpiringStorage {
+
+    /**
+     * @param {Storage|MemoryStorage|CookieStorage} storage - The wrapped storage
+     */
+    constructor(storage = Storage) {
+
+        /**
+         * @private
+         * @property {Storage|MemoryStorage|CookieStorage} _storage
+         */
+        this._storage = storage;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {number|{ttl: number}|null} ttl - The time to live in ms, `null` stores an entry which doesn't expire
+     */
+    setItem(key, value, ttl = null) {
+        const timeToLive = ttl !== null && typeof ttl === 'object' ? ttl.ttl : ttl;
+        const expiring = typeof timeToLive === 'number';
+
+        if (expiring && timeToLive <= 0) {
+            this.removeItem(key);
+            return;
+        }
+
+        const stored = expiring ? ExpiringStorage.wrap(value, Date.now() + timeToLive) : String(value);
+
+        if (resolveStorage(this._storage) === CookieStorage) {
+            CookieStorage.setItem(key, stored, expiring ? { maxAge: Math.ceil(timeToLive / 1000) } : {});
+            return;
+        }
+
+        this._storage.setItem(key, stored);
+    }
+
+    /**
+     * Returns the value, expired entries are removed and return `null`
+     *
+     * @param {string} key
+     *
+     * @returns {string|null}
+     */
+    getItem(key) {
+        const entry = this._read(key);
+
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * @param {string} key
+     */
+    removeItem(key) {
+        this._storage.removeItem(key);
+    }
+
+    /**
+     * @param {number} index
+     *
+     * @returns {string|null}
+     */
+    key(index) {
+        return this._storage.key(index);
+    }
+
+    /**
+     * Removes all entries of the wrapped storage
+     */
+    clear() {
+        this._storage.clear();
+    }
+
+    /**
+     * @returns {number}
+     */
+    get length() {
+        return this._storage.length;
+    }
+
+    /**
+     * Returns when the entry expires
+     *
+     * @param {string} key
+     *
+     * @returns {number|null} the timestamp in ms, `null` if the entry is missing or doesn't expire
+     */
+    getExpiration(key) {
+        const entry = this._read(key);
+
+        return entry ? entry.expiresAt : null;
+    }
+
+    /**
+     * Removes all expired entries
+     *
+     * @returns {number} the number of removed entries
+     */
+    purgeExpired() {
+        const keys = [];
+
+        for (let i = 0; i < this._storage.length; i++) {
+            keys.push(this._storage.key(i));
+        }
+
+        return keys.filter(key => key !== null && this._isExpired(key)).map(key => this.removeItem(key)).length;
+    }
+
+    /**
+     * Returns the value stored with its expiration date
+     *
+     * @param {*} value
+     * @param {number} expiresAt - The timestamp in ms
+     *
+     * @returns {string}
+     */
+    static wrap(value, expiresAt) {
+        return `${EXPIRES_MARKER}${expiresAt}${VALUE_SEPARATOR}${value}`;
+    }
+
+    /**
+     * Splits a stored value into the value and its expiration date
+     *
+     * @param {string} stored
+     *
+     * @returns {{value: string, expiresAt: number|null}}
+     */
+    static unwrap(stored) {
+        if (typeof stored !== 'string' || stored.indexOf(EXPIRES_MARKER) !== 0) {
+            return { value: stored, expiresAt: null };
+        }
+
+        const separator = stored.indexOf(VALUE_SEPARATOR, EXPIRES_MARKER.length);
+
+        return {
+            value: stored.slice(separator + 1),
+            expiresAt: parseInt(stored.slice(EXPIRES_MARKER.length, separator), 10),
+        };
+    }
+
+    /**
+     * Returns whether the unwrapped entry has expired
+     *
+     * @param {{expiresAt: number|null}} entry
+     *
+     * @returns {boolean}
+     */
+    static isExpired(entry) {
+        return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+    }
+
+    /**
+     * @private
+     * Reads an entry, removing it if it has expired
+     *
+     * @param {string} key
+     *
+     * @returns {{value: string, expiresAt: number|null}|null}
+     */
+    _read(key) {
+        const stored = this._storage.getItem(key);
+
+        if (stored === null || typeof stored === 'undefined') {
+            return null;
+        }
+
+        const entry = ExpiringStorage.unwrap(stored);
+
+        if (ExpiringStorage.isExpired(entry)) {
+            this.removeItem(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     *
+     * @returns {boolean}
+     */
+    _isExpired(key) {
+        const stored = this._storage.getItem(key);
+
+        return stored !== null && ExpiringStorage.isExpired(ExpiringStorage.unwrap(stored));
+    }
+}
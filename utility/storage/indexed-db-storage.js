@@ -0,0 +1,302 @@
+import Storage from './storage';
+import NamespacedStorage from './namespaced-storage';
+
+/**
+ * @class IndexedDbStorage
+ * @description
+ * IndexedDbStorage is an asynchronous key value storage on top of IndexedDB, for data which exceeds the few MB of
+ * `localStorage`, like an offline catalog or drafts. Every method returns a Promise. Values are stored as
+ * structured clones, so objects, arrays, `Date`, `Map`, `Set`, `Blob` and typed arrays are returned as they were
+ * stored.
+ *
+ * The database is opened with the first call. If IndexedDB isn't available or can't be opened, e.g. in some
+ * private browsing modes, the values are stored in a synchronous storage instead, by default the one chosen by
+ * `StorageSingleton`, below the namespace `name + '/' + storeName`. The API stays the same, but values are
+ * stored as JSON like in `NamespacedStorage`, so only `Date`, `Map` and `Set` survive besides plain JSON.
+ *
+ * @example
+ * const drafts = new IndexedDbStorage('shop', { storeName: 'drafts' });
+ *
+ * drafts.set('review-42', { rating: 4, text: 'Great', savedAt: new Date() })
+ *     .then(() => drafts.get('review-42'))
+ *     .then(draft => form.fill(draft));
+ *
+ * @author Daouda Warme
+ */
+export default class IndexedDbStorage {
+
+    /**
+     * @param {string} [name = 'storage'] - The name of the database
+     * @param {object} options
+     * @param {string} [options.storeName = 'keyval'] - The object store which holds the values
+     * @param {Storage|MemoryStorage|CookieStorage} [options.fallback = Storage] - Used without IndexedDB
+     * @param {IDBFactory|null} [options.indexedDB] - Defaults to `window.indexedDB`
+     */
+    constructor(name = 'storage', {
+        storeName = 'keyval',
+        fallback = Storage,
+        indexedDB = typeof window !== 'undefined' ? window.indexedDB : null,
+    } = {}) {
+
+        /**
+         * @property {string} name
+         */
+        this.name = name;
+
+        /**
+         * @property {string} storeName
+         */
+        this.storeName = storeName;
+
+        /**
+         * @private
+         * @property {IDBFactory|null} _indexedDB
+         */
+        this._indexedDB = indexedDB || null;
+
+        /**
+         * @private
+         * @property {Storage|MemoryStorage|CookieStorage} _fallbackStorage
+         */
+        this._fallbackStorage = fallback;
+
+        /**
+         * @private
+         * @property {NamespacedStorage|null} _fallback - Created once IndexedDB turned out to be unavailable
+         */
+        this._fallback = null;
+
+        /**
+         * @private
+         * @property {Promise<IDBDatabase|null>|null} _database - Resolves with `null` if the fallback is used
+         */
+        this._database = null;
+    }
+
+    /**
+     * Returns whether the values are stored in IndexedDB, opening the database if needed
+     *
+     * @returns {Promise<boolean>}
+     */
+    isPersistent() {
+        return this._open().then(database => database !== null);
+    }
+
+    /**
+     * Returns the stored value, or the default value if the key is missing
+     *
+     * @param {string} key
+     * @param {*} defaultValue
+     *
+     * @returns {Promise<*>}
+     */
+    get(key, defaultValue = null) {
+        return this._run(
+            'readonly',
+            store => store.get(key),
+            fallback => fallback.get(key, defaultValue),
+        ).then(value => (typeof value === 'undefined' ? defaultValue : value));
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value - Anything the structured clone algorithm can copy
+     *
+     * @returns {Promise<void>}
+     */
+    set(key, value) {
+        return this._run(
+            'readwrite',
+            store => store.put(value, key),
+            fallback => fallback.set(key, value),
+        ).then(() => undefined);
+    }
+
+    /**
+     * @param {string} key
+     *
+     * @returns {Promise<boolean>}
+     */
+    has(key) {
+        return this._run(
+            'readonly',
+            store => store.count(key),
+            fallback => fallback.has(key),
+        ).then(result => Boolean(result));
+    }
+
+    /**
+     * @param {string} key
+     *
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return this._run(
+            'readwrite',
+            store => store.delete(key),
+            fallback => fallback.remove(key),
+        ).then(() => undefined);
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    keys() {
+        return this._run(
+            'readonly',
+            store => store.getAllKeys(),
+            fallback => fallback.keys(),
+        ).then(keys => keys.map(String));
+    }
+
+    /**
+     * Removes all values of the store
+     *
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this._run(
+            'readwrite',
+            store => store.clear(),
+            fallback => fallback.clear(),
+        ).then(() => undefined);
+    }
+
+    /**
+     * Closes the database, it is opened again by the next call
+     */
+    close() {
+        if (!this._database) {
+            return;
+        }
+
+        const database = this._database;
+        this._database = null;
+
+        database.then((db) => {
+            if (db) {
+                db.close();
+            }
+        });
+    }
+
+    /**
+     * Returns whether IndexedDB is available
+     *
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * @private
+     * Runs a request against the object store, or the callback against the fallback
+     *
+     * @param {'readonly'|'readwrite'} mode
+     * @param {function(IDBObjectStore): IDBRequest} request
+     * @param {function(NamespacedStorage): *} fallback
+     *
+     * @returns {Promise<*>}
+     */
+    _run(mode, request, fallback) {
+        return this._open().then((database) => {
+            if (!database) {
+                return fallback(this._getFallback());
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(this.storeName, mode);
+                const pending = request(transaction.objectStore(this.storeName));
+
+                // writes are only reported once they are committed
+                transaction.oncomplete = () => resolve(pending.result);
+                transaction.onerror = () => reject(transaction.error || pending.error);
+                transaction.onabort = () => reject(transaction.error || new Error('The IndexedDB transaction was aborted'));
+            });
+        });
+    }
+
+    /**
+     * @private
+     * Opens the database once, resolves with `null` if IndexedDB can't be used
+     *
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (!this._database) {
+            this._database = this._connect().then((database) => {
+                if (!database || database.objectStoreNames.contains(this.storeName)) {
+                    return database;
+                }
+
+                // another store of the same database was created first, a new version creates this one
+                const version = database.version + 1;
+                database.close();
+
+                return this._connect(version);
+            });
+        }
+
+        return this._database;
+    }
+
+    /**
+     * @private
+     * @param {number|undefined} version - Defaults to the current version of the database
+     *
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _connect(version = undefined) {
+        return new Promise((resolve) => {
+            if (!this._indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            let request;
+
+            try {
+                request = version ? this._indexedDB.open(this.name, version) : this._indexedDB.open(this.name);
+            } catch (e) {
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => {
+                const database = request.result;
+
+                // another tab upgrades the database, the next call opens it again
+                database.onversionchange = () => {
+                    database.close();
+                    this._database = null;
+                };
+
+                resolve(database);
+            };
+
+            request.onerror = (event) => {
+                event.preventDefault();
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * @private
+     * @returns {NamespacedStorage}
+     */
+    _getFallback() {
+        if (!this._fallback) {
+            this._fallback = new NamespacedStorage(`${this.name}/${this.storeName}`, { storage: this._fallbackStorage });
+        }
+
+        return this._fallback;
+    }
+}
@@ -51,10 +51,19 @@ export default class MemoryStorage {
     /**
      * @param {number} index
      *
-     * @returns {any}
+     * @returns {string|null} the name of the key at the given position
      */
     key(index) {
-        return Object.values(this._storage)[index] || null;
+        const key = Object.keys(this._storage)[index];
+
+        return typeof key === 'undefined' ? null : key;
+    }
+
+    /**
+     * @returns {number} the number of stored keys
+     */
+    get length() {
+        return Object.keys(this._storage).length;
     }
 
     /**
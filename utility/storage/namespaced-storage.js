@@ -0,0 +1,343 @@
+import Storage from './storage';
+import ExpiringStorage from './expiring-storage';
+import StorageSchema from './storage-schema';
+import { MigrationError } from './storage-errors';
+
+/**
+ * The property which marks values that JSON can't represent by itself
+ *
+ * @type {string}
+ */
+const TYPE_PROPERTY = '__type';
+
+/**
+ * @class NamespacedStorage
+ * @description
+ * NamespacedStorage wraps a storage with the Web Storage interface, by default the one chosen by
+ * `StorageSingleton`, and keeps the keys of a widget apart from all others by prefixing them with a namespace.
+ * Values are stored as JSON, including `Date`, `Map` and `Set` values, so callers get back what they stored.
+ *
+ * `clear()`, `keys()` and `entries()` only see the keys of the namespace. Values which can't be parsed, e.g.
+ * because another script wrote the key, are treated as missing. Values can expire after a TTL, see `ExpiringStorage`.
+ * If a version of the namespace is registered in `StorageSchema`, the entries are migrated with the first access.
+ *
+ * @example
+ * const wishlist = new NamespacedStorage('wishlist');
+ * wishlist.set('items', new Set([12, 15]));
+ * wishlist.set('updatedAt', new Date());
+ *
+ * wishlist.get('items', new Set()).has(12); // true
+ * wishlist.set('teaser', data, { ttl: 60000 });
+ * wishlist.clear(); // leaves the keys of other namespaces alone
+ *
+ * @author Daouda Warme
+ */
+export default class NamespacedStorage {
+
+    /**
+     * @param {string} namespace
+     * @param {object} options
+     * @param {Storage|MemoryStorage} [options.storage = Storage] - The wrapped storage
+     * @param {string} [options.separator = ':'] - Separates the namespace from the key
+     */
+    constructor(namespace, { storage = Storage, separator = ':' } = {}) {
+        if (!namespace) {
+            throw new Error('The NamespacedStorage requires a namespace');
+        }
+
+        /**
+         * @property {string} namespace
+         */
+        this.namespace = namespace;
+
+        /**
+         * @private
+         * @property {ExpiringStorage} _storage - Wraps the given storage, so entries can expire
+         */
+        this._storage = storage instanceof ExpiringStorage ? storage : new ExpiringStorage(storage);
+
+        /**
+         * @private
+         * @property {string} _prefix
+         */
+        this._prefix = `${namespace}${separator}`;
+
+        /**
+         * @private
+         * @property {boolean} _migrated - Whether the entries were checked against the `StorageSchema`
+         */
+        this._migrated = false;
+    }
+
+    /**
+     * Returns the stored value, or the default value if the key is missing
+     *
+     * @param {string} key
+     * @param {*} defaultValue
+     *
+     * @returns {*}
+     */
+    get(key, defaultValue = null) {
+        this._migrate();
+
+        const value = this._storage.getItem(this._prefix + key);
+
+        if (value === null) {
+            return defaultValue;
+        }
+
+        try {
+            return NamespacedStorage.deserialize(value);
+        } catch (e) {
+            return defaultValue;
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value - Anything JSON can represent, plus `Date`, `Map` and `Set`
+     * @param {object} options
+     * @param {number|null} [options.ttl = null] - The time to live in ms, the value doesn't expire without it
+     */
+    set(key, value, { ttl = null } = {}) {
+        this._migrate();
+        this._storage.setItem(this._prefix + key, NamespacedStorage.serialize(value), ttl);
+    }
+
+    /**
+     * @param {string} key
+     *
+     * @returns {boolean}
+     */
+    has(key) {
+        this._migrate();
+
+        const value = this._storage.getItem(this._prefix + key);
+
+        if (value === null) {
+            return false;
+        }
+
+        try {
+            NamespacedStorage.deserialize(value);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} key
+     */
+    remove(key) {
+        this._migrate();
+        this._storage.removeItem(this._prefix + key);
+    }
+
+    /**
+     * Removes all keys of the namespace, including the ones whose values can't be parsed
+     */
+    clear() {
+        this._getStoredKeys().forEach(key => this.remove(key));
+    }
+
+    /**
+     * Removes the expired keys of the namespace
+     *
+     * @returns {number} the number of removed keys
+     */
+    purgeExpired() {
+        // reading an expired key removes it
+        return this._getStoredKeys().filter(key => this._storage.getItem(this._prefix + key) === null).length;
+    }
+
+    /**
+     * @returns {string[]} the keys of the namespace, without prefix. Expired keys are removed, keys whose values
+     * can't be parsed are left out.
+     */
+    keys() {
+        return this._getStoredKeys().filter(key => this.has(key));
+    }
+
+    /**
+     * @returns {Array<Array>} the `[key, value]` pairs of the namespace
+     */
+    entries() {
+        return this.keys().map(key => [key, this.get(key)]);
+    }
+
+    /**
+     * @private
+     * @returns {string[]} the keys of the namespace in the storage, including expired ones
+     */
+    _getStoredKeys() {
+        this._migrate();
+
+        return NamespacedStorage.getStorageKeys(this._storage)
+            .filter(key => key.indexOf(this._prefix) === 0)
+            .map(key => key.slice(this._prefix.length));
+    }
+
+    /**
+     * @private
+     * Migrates the entries to the version registered in `StorageSchema`, once per instance. Entries which can't
+     * be migrated are left as they are, unless the schema resets the namespace.
+     */
+    _migrate() {
+        const schema = StorageSchema.get(this.namespace);
+
+        if (this._migrated || !schema) {
+            return;
+        }
+
+        this._migrated = true;
+
+        const versionKey = StorageSchema.getVersionKey(this.namespace);
+        const storedVersion = parseInt(this._storage.getItem(versionKey), 10);
+        const keys = this._getStoredKeys();
+        // entries stored before the namespace had a version are version 0, without entries there is nothing to migrate
+        const version = !Number.isNaN(storedVersion) ? storedVersion : (keys.length > 0 ? 0 : schema.version);
+
+        if (version === schema.version) {
+            if (storedVersion !== version) {
+                this._storage.setItem(versionKey, String(schema.version));
+            }
+
+            return;
+        }
+
+        const expirations = {};
+        let entries;
+
+        try {
+            entries = keys.reduce((values, key) => {
+                const value = this._storage.getItem(this._prefix + key);
+
+                if (value !== null) {
+                    values[key] = NamespacedStorage.deserialize(value);
+                    expirations[key] = this._storage.getExpiration(this._prefix + key);
+                }
+
+                return values;
+            }, {});
+            entries = StorageSchema.migrate(this.namespace, entries, version);
+        } catch (error) {
+            const failure = error instanceof MigrationError ? error : new MigrationError(this.namespace, version, schema.version, error);
+
+            if (schema.reset) {
+                keys.forEach(key => this._storage.removeItem(this._prefix + key));
+                this._storage.setItem(versionKey, String(schema.version));
+                failure.reset = true;
+            }
+
+            StorageSchema.report(failure);
+            return;
+        }
+
+        keys.filter(key => !Object.prototype.hasOwnProperty.call(entries, key))
+            .forEach(key => this._storage.removeItem(this._prefix + key));
+
+        Object.keys(entries).forEach((key) => {
+            const expiresAt = expirations[key] || null;
+
+            this._storage.setItem(
+                this._prefix + key,
+                NamespacedStorage.serialize(entries[key]),
+                expiresAt !== null ? expiresAt - Date.now() : null,
+            );
+        });
+
+        this._storage.setItem(versionKey, String(schema.version));
+    }
+
+    /**
+     * Returns all keys of a storage
+     *
+     * @param {Storage|MemoryStorage} storage
+     *
+     * @returns {string[]}
+     */
+    static getStorageKeys(storage) {
+        const keys = [];
+
+        if (typeof storage.length === 'number') {
+            for (let i = 0; i < storage.length; i++) {
+                keys.push(storage.key(i));
+            }
+        } else {
+            for (let key = storage.key(0); key !== null; key = storage.key(keys.length)) {
+                keys.push(key);
+            }
+        }
+
+        return keys.filter(key => key !== null);
+    }
+
+    /**
+     * Serializes the value to JSON, `Date`, `Map` and `Set` values are marked with their type. Invalid dates are
+     * kept as `NaN`, objects with a property of the same name as the marker are escaped, so they aren't revived.
+     *
+     * @param {*} value
+     *
+     * @returns {string}
+     */
+    static serialize(value) {
+        return JSON.stringify(value, function replacer(key, replaced) {
+            // `Date` values are already converted by their `toJSON()` when passed to the replacer
+            const original = this[key];
+
+            if (original instanceof Date) {
+                return { [TYPE_PROPERTY]: 'Date', value: Number.isNaN(original.getTime()) ? 'NaN' : original.toISOString() };
+            }
+
+            if (original instanceof Map) {
+                return { [TYPE_PROPERTY]: 'Map', value: Array.from(original.entries()) };
+            }
+
+            if (original instanceof Set) {
+                return { [TYPE_PROPERTY]: 'Set', value: Array.from(original.values()) };
+            }
+
+            // as `[key, value]` pairs, which the replacer doesn't escape again
+            if (replaced && typeof replaced === 'object' && !Array.isArray(replaced)
+                && Object.prototype.hasOwnProperty.call(replaced, TYPE_PROPERTY)) {
+                return { [TYPE_PROPERTY]: 'Object', value: Object.keys(replaced).map(name => [name, replaced[name]]) };
+            }
+
+            return replaced;
+        });
+    }
+
+    /**
+     * Parses JSON written by `serialize()`
+     *
+     * @param {string} text
+     *
+     * @returns {*}
+     */
+    static deserialize(text) {
+        return JSON.parse(text, (key, value) => {
+            if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, TYPE_PROPERTY)) {
+                return value;
+            }
+
+            if (value[TYPE_PROPERTY] === 'Date') {
+                return new Date(value.value === 'NaN' ? NaN : value.value);
+            }
+
+            if (value[TYPE_PROPERTY] === 'Map') {
+                return new Map(value.value);
+            }
+
+            if (value[TYPE_PROPERTY] === 'Set') {
+                return new Set(value.value);
+            }
+
+            if (value[TYPE_PROPERTY] === 'Object') {
+                return value.value.reduce((object, [name, property]) => Object.assign(object, { [name]: property }), {});
+            }
+
+            return value;
+        });
+    }
+}
@@ -0,0 +1,393 @@
+import NativeEventEmitter from '../native-event-emitter';
+import StringHelper from '../string/string-helper';
+import Storage, { resolveStorage } from './storage';
+import CookieStorage from './cookie-storage';
+import ExpiringStorage from './expiring-storage';
+
+/**
+ * Identifies the current tab in the change events
+ *
+ * @type {string}
+ */
+const TAB_ID = StringHelper.createUniqueId();
+
+/**
+ * The event published for every change
+ *
+ * @type {string}
+ */
+export const STORAGE_CHANGE_EVENT = 'change';
+
+/**
+ * Where a change was made
+ *
+ * - `local`: in this tab, through the storage
+ * - `storage`: in another tab, reported by the native `storage` event
+ * - `broadcast`: in another tab, reported through the `BroadcastChannel`
+ *
+ * @type {{LOCAL: string, STORAGE: string, BROADCAST: string}}
+ */
+export const CHANGE_SOURCE = {
+    LOCAL: 'local',
+    STORAGE: 'storage',
+    BROADCAST: 'broadcast',
+};
+
+/**
+ * The counter which makes the event names of single subscriptions unique
+ *
+ * @type {number}
+ */
+let subscriptionCount = 0;
+
+/**
+ * @class ObservableStorage
+ * @description
+ * ObservableStorage wraps a storage with the Web Storage interface, by default the one chosen by
+ * `StorageSingleton`, and publishes a `change` event through a `NativeEventEmitter` whenever a key changes. The
+ * event detail is `{key, oldValue, newValue, source, tabId}`; `clear()` is reported once with `key: null`, to the
+ * listeners of all keys and namespaces as well, so they learn about e.g. a logout in another tab.
+ *
+ * Changes made through the storage in this tab are synthesized. Changes of other tabs arrive through the native
+ * `storage` event for `localStorage`, and through a `BroadcastChannel` for backends without such an event, like
+ * `CookieStorage`. `tabId` identifies the tab which made the change, it is `null` for native events.
+ *
+ * Listeners subscribe to all changes, a single key, or a namespace, i.e. the keys starting with
+ * `namespace + separator` as written by `NamespacedStorage`.
+ *
+ * @example
+ * const storage = new ObservableStorage();
+ *
+ * storage.subscribe('cart:token', event => refreshCart(event.detail.newValue));
+ * storage.subscribe({ namespace: 'session' }, () => checkLogin());
+ *
+ * new NamespacedStorage('session', { storage }).clear();
+ *
+ * @author Daouda Warme
+ */
+export default class ObservableStorage {
+
+    /**
+     * @param {Storage|MemoryStorage|CookieStorage} storage - The wrapped storage
+     * @param {object} options
+     * @param {NativeEventEmitter|null} [options.emitter = null] - Publishes the events, defaults to an emitter of its own
+     * @param {boolean} [options.broadcast] - Whether changes are sent to other tabs through a `BroadcastChannel`,
+     * defaults to `true` for `CookieStorage`, the only shared backend without native `storage` event
+     * @param {string} [options.channelName = 'storage-changes'] - The name of the `BroadcastChannel`
+     * @param {string} [options.separator = ':'] - Separates the namespace from the rest of a key
+     */
+    constructor(storage = Storage, {
+        emitter = null,
+        broadcast = resolveStorage(storage) === CookieStorage,
+        channelName = 'storage-changes',
+        separator = ':',
+    } = {}) {
+
+        /**
+         * @private
+         * @property {Storage|MemoryStorage|CookieStorage} _storage
+         */
+        this._storage = storage;
+
+        /**
+         * @property {NativeEventEmitter} emitter - Publishes the change events
+         */
+        this.emitter = emitter || new NativeEventEmitter(new EventTarget());
+
+        /**
+         * @private
+         * @property {string} _separator
+         */
+        this._separator = separator;
+
+        /**
+         * @private
+         * @property {Map<string, number>} _eventNames - The subscriptions of keys and namespaces by event name
+         */
+        this._eventNames = new Map();
+
+        /**
+         * @private
+         * @property {BroadcastChannel|null} _channel
+         */
+        this._channel = broadcast && typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+
+        this._onStorage = this._onStorage.bind(this);
+        this._onMessage = this._onMessage.bind(this);
+
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('storage', this._onStorage);
+        }
+
+        if (this._channel) {
+            this._channel.addEventListener('message', this._onMessage);
+        }
+    }
+
+    /**
+     * @returns {string} the id of the current tab
+     */
+    static get tabId() {
+        return TAB_ID;
+    }
+
+    /**
+     * @param {string} key
+     *
+     * @returns {*}
+     */
+    getItem(key) {
+        return this._storage.getItem(key);
+    }
+
+    /**
+     * Stores the value and publishes the change, further arguments are passed to the wrapped storage
+     *
+     * @param {string} key
+     * @param {*} value
+     * @param {...*} args
+     */
+    setItem(key, value, ...args) {
+        const oldValue = this._storage.getItem(key);
+
+        this._storage.setItem(key, value, ...args);
+        this._change(key, oldValue, this._storage.getItem(key));
+    }
+
+    /**
+     * Removes the key and publishes the change, further arguments are passed to the wrapped storage
+     *
+     * @param {string} key
+     * @param {...*} args
+     */
+    removeItem(key, ...args) {
+        const oldValue = this._storage.getItem(key);
+
+        this._storage.removeItem(key, ...args);
+
+        if (oldValue !== null && typeof oldValue !== 'undefined') {
+            this._change(key, oldValue, null);
+        }
+    }
+
+    /**
+     * @param {number} index
+     *
+     * @returns {string|null}
+     */
+    key(index) {
+        return this._storage.key(index);
+    }
+
+    /**
+     * Removes all keys and publishes a single change with `key: null`
+     */
+    clear() {
+        this._storage.clear();
+        this._change(null, null, null);
+    }
+
+    /**
+     * @returns {number}
+     */
+    get length() {
+        return this._storage.length;
+    }
+
+    /**
+     * Subscribes to the changes of a key, a namespace or, without target, to all changes
+     *
+     * @param {string|{namespace: string}|null} target
+     * @param {function(CustomEvent)} callback - Receives the event, its detail describes the change
+     * @param {object} options - Passed to `NativeEventEmitter.subscribe()`, e.g. `{ once: true }`
+     *
+     * @returns {function()} unsubscribes the callback
+     */
+    subscribe(target, callback, options = {}) {
+        let eventName = STORAGE_CHANGE_EVENT;
+
+        if (typeof target === 'string') {
+            eventName = ObservableStorage.getKeyEventName(target);
+        } else if (target && target.namespace) {
+            eventName = ObservableStorage.getNamespaceEventName(target.namespace);
+        }
+
+        // the suffix lets `unsubscribe()` remove only this listener
+        const subscription = `${eventName}.subscription${++subscriptionCount}`;
+        this.emitter.subscribe(subscription, callback, options);
+
+        if (eventName !== STORAGE_CHANGE_EVENT) {
+            this._eventNames.set(eventName, (this._eventNames.get(eventName) || 0) + 1);
+        }
+
+        let subscribed = true;
+
+        return () => {
+            this.emitter.unsubscribe(subscription);
+
+            if (subscribed && eventName !== STORAGE_CHANGE_EVENT) {
+                const count = this._eventNames.get(eventName) - 1;
+
+                if (count > 0) {
+                    this._eventNames.set(eventName, count);
+                } else {
+                    this._eventNames.delete(eventName);
+                }
+            }
+
+            subscribed = false;
+        };
+    }
+
+    /**
+     * Stops listening to other tabs
+     */
+    destroy() {
+        if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+            window.removeEventListener('storage', this._onStorage);
+        }
+
+        if (this._channel) {
+            this._channel.close();
+            this._channel = null;
+        }
+    }
+
+    /**
+     * Returns the name of the event published for changes of the key
+     *
+     * @param {string} key
+     *
+     * @returns {string}
+     */
+    static getKeyEventName(key) {
+        return `${STORAGE_CHANGE_EVENT}:key:${ObservableStorage._encode(key)}`;
+    }
+
+    /**
+     * Returns the name of the event published for changes in the namespace
+     *
+     * @param {string} namespace
+     *
+     * @returns {string}
+     */
+    static getNamespaceEventName(namespace) {
+        return `${STORAGE_CHANGE_EVENT}:namespace:${ObservableStorage._encode(namespace)}`;
+    }
+
+    /**
+     * @private
+     * Publishes a change made in this tab and tells the other tabs
+     *
+     * @param {string|null} key
+     * @param {*} oldValue
+     * @param {*} newValue
+     */
+    _change(key, oldValue, newValue) {
+        const change = {
+            key,
+            oldValue: ObservableStorage._toValue(oldValue),
+            newValue: ObservableStorage._toValue(newValue),
+        };
+
+        if (change.oldValue === change.newValue && key !== null) {
+            return;
+        }
+
+        this._publish(Object.assign({ source: CHANGE_SOURCE.LOCAL, tabId: TAB_ID }, change));
+
+        if (this._channel) {
+            this._channel.postMessage(Object.assign({ tabId: TAB_ID }, change));
+        }
+    }
+
+    /**
+     * @private
+     * @param {StorageEvent} event
+     */
+    _onStorage(event) {
+        if (event.storageArea !== resolveStorage(this._storage)) {
+            return;
+        }
+
+        this._publish({
+            key: event.key,
+            oldValue: ObservableStorage._toValue(event.oldValue),
+            newValue: ObservableStorage._toValue(event.newValue),
+            source: CHANGE_SOURCE.STORAGE,
+            tabId: null,
+        });
+    }
+
+    /**
+     * @private
+     * @param {MessageEvent} event
+     */
+    _onMessage(event) {
+        const message = event.data;
+
+        if (!message || message.tabId === TAB_ID) {
+            return;
+        }
+
+        this._publish({
+            key: message.key,
+            oldValue: message.oldValue,
+            newValue: message.newValue,
+            source: CHANGE_SOURCE.BROADCAST,
+            tabId: message.tabId,
+        });
+    }
+
+    /**
+     * @private
+     * Publishes the change to all listeners, the listeners of the key and the listeners of its namespace. A cleared
+     * storage is published to the listeners of every key and namespace.
+     *
+     * @param {{key: string|null, oldValue: string|null, newValue: string|null, source: string, tabId: string|null}} detail
+     */
+    _publish(detail) {
+        this.emitter.publish(STORAGE_CHANGE_EVENT, detail);
+
+        if (detail.key === null) {
+            Array.from(this._eventNames.keys()).forEach(eventName => this.emitter.publish(eventName, detail));
+            return;
+        }
+
+        this.emitter.publish(ObservableStorage.getKeyEventName(detail.key), detail);
+
+        const separatorIndex = detail.key.indexOf(this._separator);
+
+        if (separatorIndex > 0) {
+            this.emitter.publish(ObservableStorage.getNamespaceEventName(detail.key.slice(0, separatorIndex)), detail);
+        }
+    }
+
+    /**
+     * @private
+     * Returns the value without the expiration date added by `ExpiringStorage`
+     *
+     * @param {*} value
+     *
+     * @returns {string|null}
+     */
+    static _toValue(value) {
+        if (value === null || typeof value === 'undefined') {
+            return null;
+        }
+
+        return ExpiringStorage.unwrap(String(value)).value;
+    }
+
+    /**
+     * @private
+     * Encodes a key for an event name, `NativeEventEmitter` treats dots as separators
+     *
+     * @param {string} value
+     *
+     * @returns {string}
+     */
+    static _encode(value) {
+        return encodeURIComponent(value).replace(/\./g, '%2E');
+    }
+}
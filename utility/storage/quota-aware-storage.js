@@ -0,0 +1,553 @@
+import Storage, { isQuotaError } from './storage';
+import MemoryStorage from './memory-storage';
+import ExpiringStorage from './expiring-storage';
+import NamespacedStorage from './namespaced-storage';
+
+/**
+ * What is done when a write exceeds the quota, the policies are applied in the configured order
+ *
+ * - `EXPIRED`: removes the expired entries of all namespaces, see `ExpiringStorage`
+ * - `LRU`: removes the least recently used entries of the namespace of the written key, one at a time. Keys
+ *   without namespace, like the ones of the `OfflineQueue` or of other scripts, and the keys of the
+ *   `INTERNAL_NAMESPACES` are never evicted.
+ * - `MEMORY`: keeps the written key in a `MemoryStorage` for the rest of the page session
+ *
+ * @type {{EXPIRED: string, LRU: string, MEMORY: string}}
+ */
+export const QUOTA_POLICY = {
+    EXPIRED: 'expired',
+    LRU: 'lru',
+    MEMORY: 'memory',
+};
+
+/**
+ * The namespaces of the bookkeeping keys of `utility/storage` and `service`, which the `LRU` policy never evicts:
+ * the versions of the `StorageSchema`, the salts of the `EncryptedStorage`, the state of running `ChunkedUpload`s,
+ * the entries of the `ResponseCache`, whose index would get out of step, and the access times of this class
+ *
+ * @type {string[]}
+ */
+export const INTERNAL_NAMESPACES = ['storage-schema', 'encrypted-storage', 'chunked-upload', 'http-cache', 'quota-aware-storage'];
+
+/**
+ * Prefixes the keys of the access times, which are kept per namespace
+ *
+ * @type {string}
+ */
+const ACCESS_PREFIX = 'quota-aware-storage:access:';
+
+/**
+ * The event published through the `emitter` after a write exceeded the quota. The detail is
+ * `{key, namespace, policy, evicted, error}`, `policy` is the one which made room, `null` if none did and the
+ * error was thrown.
+ *
+ * @type {{EXCEEDED: string}}
+ */
+export const QUOTA_EVENT = {
+    EXCEEDED: 'QuotaAwareStorage/exceeded',
+};
+
+/**
+ * @class QuotaAwareStorage
+ * @description
+ * QuotaAwareStorage wraps a storage with the Web Storage interface, by default the one chosen by
+ * `StorageSingleton`, and handles writes which exceed its quota instead of throwing the `QuotaExceededError` to
+ * the caller. The `QUOTA_POLICY`s are applied in order until the write succeeds; only if none of them made room
+ * the error is thrown.
+ *
+ * The namespace of a key is the part before the first `separator`, like the keys written by `NamespacedStorage`.
+ * To evict the least recently used entries, the time of the last read or write of every evictable key is kept in one
+ * index per namespace, below `'quota-aware-storage:access:' + namespace`. An index is written at most once per
+ * task; if it doesn't fit into the full storage, the times are only kept in memory.
+ * Keys without a known access time are evicted first.
+ * `getUsage()` reports the approximate bytes used per namespace.
+ *
+ * @example
+ * const storage = new QuotaAwareStorage(Storage, {
+ *     policies: [QUOTA_POLICY.EXPIRED, QUOTA_POLICY.LRU],
+ *     emitter: document.$emitter,
+ * });
+ * const catalog = new NamespacedStorage('catalog', { storage });
+ *
+ * catalog.set('page-12', products); // evicts old catalog pages once the storage is full
+ * storage.getUsage(); // { catalog: 4718592, cart: 2048 }
+ *
+ * @author Daouda Warme
+ */
+export default class QuotaAwareStorage {
+
+    /**
+     * @param {Storage|MemoryStorage|CookieStorage} storage - The wrapped storage
+     * @param {object} options
+     * @param {string[]} [options.policies] - The `QUOTA_POLICY`s in the order they are applied, defaults to all
+     * @param {NativeEventEmitter|null} [options.emitter = null] - Publishes the `QUOTA_EVENT`s
+     * @param {string} [options.separator = ':'] - Separates the namespace from the rest of a key
+     * @param {string[]|null} [options.namespaces = null] - The namespaces whose entries `LRU` may evict, all but the
+     * `INTERNAL_NAMESPACES` by default
+     */
+    constructor(storage = Storage, {
+        policies = [QUOTA_POLICY.EXPIRED, QUOTA_POLICY.LRU, QUOTA_POLICY.MEMORY],
+        emitter = null,
+        separator = ':',
+        namespaces = null,
+    } = {}) {
+
+        /**
+         * @private
+         * @property {Storage|MemoryStorage|CookieStorage} _storage
+         */
+        this._storage = storage;
+
+        /**
+         * @private
+         * @property {string[]} _policies
+         */
+        this._policies = policies;
+
+        /**
+         * @private
+         * @property {NativeEventEmitter|null} _emitter
+         */
+        this._emitter = emitter;
+
+        /**
+         * @private
+         * @property {string} _separator
+         */
+        this._separator = separator;
+
+        /**
+         * @private
+         * @property {string[]|null} _namespaces - The namespaces `LRU` may evict
+         */
+        this._namespaces = namespaces;
+
+        /**
+         * @private
+         * @property {MemoryStorage} _memory - Holds the keys which didn't fit into the storage
+         */
+        this._memory = new MemoryStorage();
+
+        /**
+         * @private
+         * @property {Object<string, Object<string, number>>} _access - The access times by namespace, each
+         * by key without namespace, read on first use
+         */
+        this._access = {};
+
+        /**
+         * @private
+         * @property {string[]} _changedAccess - The namespaces whose access times weren't written yet
+         */
+        this._changedAccess = [];
+
+        /**
+         * @private
+         * @property {string[]|null} _keys - The keys of one enumeration through `key()` and `length`
+         */
+        this._keys = null;
+    }
+
+    /**
+     * @param {string} key
+     *
+     * @returns {*}
+     */
+    getItem(key) {
+        const memoryValue = this._memory.getItem(key);
+        const value = memoryValue !== null ? memoryValue : this._storage.getItem(key);
+
+        if (value !== null && typeof value !== 'undefined') {
+            this._touch(key);
+        }
+
+        return value;
+    }
+
+    /**
+     * Stores the value, applying the policies if the storage is full. Further arguments are passed to the wrapped
+     * storage.
+     *
+     * @param {string} key
+     * @param {*} value
+     * @param {...*} args
+     */
+    setItem(key, value, ...args) {
+        try {
+            this._storage.setItem(key, value, ...args);
+        } catch (error) {
+            if (!isQuotaError(error)) {
+                throw error;
+            }
+
+            this._handleQuotaError(error, key, () => this._storage.setItem(key, value, ...args), value);
+            return;
+        }
+
+        this._memory.removeItem(key);
+        this._keys = null;
+        this._touch(key);
+    }
+
+    /**
+     * @param {string} key
+     * @param {...*} args
+     */
+    removeItem(key, ...args) {
+        this._memory.removeItem(key);
+        this._storage.removeItem(key, ...args);
+        this._keys = null;
+        this._forget(key);
+    }
+
+    /**
+     * @param {number} index
+     *
+     * @returns {string|null}
+     */
+    key(index) {
+        const keys = this._getKeys();
+
+        return index < keys.length ? keys[index] : null;
+    }
+
+    /**
+     * Removes all keys, including the ones kept in memory
+     */
+    clear() {
+        this._memory.clear();
+        this._storage.clear();
+        this._keys = null;
+        this._access = {};
+        this._changedAccess = [];
+    }
+
+    /**
+     * @returns {number}
+     */
+    get length() {
+        return this._getKeys().length;
+    }
+
+    /**
+     * Returns the approximate bytes used in the wrapped storage, by namespace. Keys and values count with two bytes
+     * per character, like browsers count them against the quota. Keys without namespace are listed below `''`.
+     *
+     * @param {string|null} namespace - Returns only the bytes of this namespace
+     *
+     * @returns {Object<string, number>|number}
+     */
+    getUsage(namespace = null) {
+        const usage = NamespacedStorage.getStorageKeys(this._storage).reduce((bytes, key) => {
+            const keyNamespace = this._getNamespace(key);
+            const value = this._storage.getItem(key);
+
+            bytes[keyNamespace] = (bytes[keyNamespace] || 0) + (key.length + String(value === null ? '' : value).length) * 2;
+
+            return bytes;
+        }, {});
+
+        return namespace === null ? usage : (usage[namespace] || 0);
+    }
+
+    /**
+     * @private
+     * Applies the policies until the write succeeds
+     *
+     * @param {Error} error - The quota error of the first attempt
+     * @param {string} key
+     * @param {function()} write - Writes the value again
+     * @param {*} value
+     */
+    _handleQuotaError(error, key, write, value) {
+        const namespace = this._getNamespace(key);
+        const evicted = [];
+        let policy = null;
+
+        for (let i = 0; i < this._policies.length && policy === null; i++) {
+            if (this._applyPolicy(this._policies[i], key, namespace, write, value, evicted)) {
+                policy = this._policies[i];
+            }
+        }
+
+        this._publish({ key, namespace, policy, evicted, error });
+
+        if (policy === null) {
+            throw error;
+        }
+
+        if (policy !== QUOTA_POLICY.MEMORY) {
+            this._memory.removeItem(key);
+        }
+
+        this._keys = null;
+        this._touch(key);
+    }
+
+    /**
+     * @private
+     * @param {string} policy
+     * @param {string} key
+     * @param {string} namespace
+     * @param {function()} write
+     * @param {*} value
+     * @param {string[]} evicted - Receives the removed keys
+     *
+     * @returns {boolean} whether the value was written
+     */
+    _applyPolicy(policy, key, namespace, write, value, evicted) {
+        if (policy === QUOTA_POLICY.MEMORY) {
+            this._memory.setItem(key, value);
+            return true;
+        }
+
+        if (policy === QUOTA_POLICY.EXPIRED) {
+            this._getExpiredKeys().forEach(candidate => this._evict(candidate, evicted));
+
+            return this._tryWrite(write);
+        }
+
+        const candidates = this._getLeastRecentlyUsed(namespace, key);
+
+        // the write is retried first, a previous policy may have made some room already
+        while (!this._tryWrite(write)) {
+            if (candidates.length === 0) {
+                return false;
+            }
+
+            this._evict(candidates.shift(), evicted);
+        }
+
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {function()} write
+     *
+     * @returns {boolean}
+     */
+    _tryWrite(write) {
+        try {
+            write();
+            return true;
+        } catch (error) {
+            if (!isQuotaError(error)) {
+                throw error;
+            }
+
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {string[]} evicted
+     */
+    _evict(key, evicted) {
+        this._storage.removeItem(key);
+        this._forget(key);
+        evicted.push(key);
+    }
+
+    /**
+     * @private
+     * @returns {string[]} the keys of the wrapped storage whose entries have expired
+     */
+    _getExpiredKeys() {
+        return NamespacedStorage.getStorageKeys(this._storage).filter((key) => {
+            const value = this._storage.getItem(key);
+
+            return typeof value === 'string' && ExpiringStorage.isExpired(ExpiringStorage.unwrap(value));
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} namespace
+     * @param {string} exceptKey - The key being written
+     *
+     * @returns {string[]} the keys of the namespace, the least recently used first. Keys never accessed come first.
+     * Keys without namespace, internal namespaces and namespaces which aren't evictable return none.
+     */
+    _getLeastRecentlyUsed(namespace, exceptKey) {
+        if (!this._isEvictable(namespace)) {
+            return [];
+        }
+
+        const access = this._getAccess(namespace);
+        const keys = NamespacedStorage.getStorageKeys(this._storage).filter(key => this._getNamespace(key) === namespace);
+        const names = keys.map(key => this._getName(key));
+
+        // keys removed by other scripts leave the index
+        Object.keys(access).filter(name => names.indexOf(name) === -1).forEach((name) => {
+            delete access[name];
+            this._changeAccess(namespace);
+        });
+
+        return keys
+            .filter(key => key !== exceptKey)
+            .sort((a, b) => (access[this._getName(a)] || 0) - (access[this._getName(b)] || 0));
+    }
+
+    /**
+     * @private
+     * @param {string} namespace
+     *
+     * @returns {boolean} whether the `LRU` policy may evict the keys of the namespace
+     */
+    _isEvictable(namespace) {
+        return namespace !== '' && INTERNAL_NAMESPACES.indexOf(namespace) === -1
+            && (!this._namespaces || this._namespaces.indexOf(namespace) !== -1);
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     *
+     * @returns {string}
+     */
+    _getNamespace(key) {
+        const index = key.indexOf(this._separator);
+
+        return index > 0 ? key.slice(0, index) : '';
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     *
+     * @returns {string} the key without its namespace
+     */
+    _getName(key) {
+        const namespace = this._getNamespace(key);
+
+        return namespace === '' ? key : key.slice(namespace.length + this._separator.length);
+    }
+
+    /**
+     * @private
+     * Returns the keys of the wrapped storage and the keys kept in memory. The list is kept until the current task
+     * ends or a key is written, so enumerating all keys through `key()` and `length` reads the storage only once.
+     *
+     * @returns {string[]}
+     */
+    _getKeys() {
+        if (!this._keys) {
+            const keys = NamespacedStorage.getStorageKeys(this._storage);
+
+            this._keys = keys.concat(NamespacedStorage.getStorageKeys(this._memory).filter(key => keys.indexOf(key) === -1));
+
+            // other tabs and scripts may change the storage meanwhile
+            Promise.resolve().then(() => {
+                this._keys = null;
+            });
+        }
+
+        return this._keys;
+    }
+
+    /**
+     * @private
+     * Records the access of an evictable key
+     *
+     * @param {string} key
+     */
+    _touch(key) {
+        const namespace = this._getNamespace(key);
+
+        if (!this._isEvictable(namespace)) {
+            return;
+        }
+
+        const access = this._getAccess(namespace);
+        const name = this._getName(key);
+        access[name] = Date.now();
+        this._changeAccess(namespace);
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     */
+    _forget(key) {
+        const namespace = this._getNamespace(key);
+        const access = this._isEvictable(namespace) ? this._getAccess(namespace) : {};
+        const name = this._getName(key);
+
+        if (Object.prototype.hasOwnProperty.call(access, name)) {
+            delete access[name];
+            this._changeAccess(namespace);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} namespace
+     *
+     * @returns {Object<string, number>} the access times of the namespace, read from the storage on first use
+     */
+    _getAccess(namespace) {
+        if (!Object.prototype.hasOwnProperty.call(this._access, namespace)) {
+            let stored = null;
+
+            try {
+                stored = JSON.parse(this._storage.getItem(ACCESS_PREFIX + namespace));
+            } catch (e) {
+                // a broken index only loses the order of the keys
+            }
+
+            this._access[namespace] = stored && typeof stored === 'object' ? stored : {};
+        }
+
+        return this._access[namespace];
+    }
+
+    /**
+     * @private
+     * Writes the changed access times once the current task is done, so a series of writes updates every index once
+     *
+     * @param {string} namespace
+     */
+    _changeAccess(namespace) {
+        if (this._changedAccess.indexOf(namespace) !== -1) {
+            return;
+        }
+
+        if (this._changedAccess.length === 0) {
+            Promise.resolve().then(() => this._saveAccess());
+        }
+
+        this._changedAccess.push(namespace);
+    }
+
+    /**
+     * @private
+     */
+    _saveAccess() {
+        this._changedAccess.splice(0).forEach((namespace) => {
+            const access = this._getAccess(namespace);
+
+            try {
+                if (Object.keys(access).length === 0) {
+                    this._storage.removeItem(ACCESS_PREFIX + namespace);
+                } else {
+                    this._storage.setItem(ACCESS_PREFIX + namespace, JSON.stringify(access));
+                }
+            } catch (e) {
+                // without room for the index the times are only kept in memory
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {object} detail
+     */
+    _publish(detail) {
+        if (this._emitter) {
+            this._emitter.publish(QUOTA_EVENT.EXCEEDED, detail);
+        }
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * The errors the storages of `utility/storage` fail with, so callers can tell them apart with `instanceof`:
+ *
+ * - `StorageError`: base class of all of them
+ * - `IntegrityError`: a stored entry was changed, or can't be decrypted with the current key
+ * - `MigrationError`: the entries of a namespace couldn't be migrated to the version of its `StorageSchema`
+ *
+ * @example
+ * addresses.get('billing').catch((error) => {
+ *     if (error instanceof IntegrityError) {
+ *         addresses.remove(error.key);
+ *         return null;
+ *     }
+ *     throw error;
+ * });
+ *
+ * @author Daouda Warme
+ */
+
+/**
+ * @class StorageError
+ * @description
+ * Base class of all errors of the storages
+ */
+export class StorageError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {string|null} key - The key of the affected entry
+     */
+    constructor(message, key = null) {
+        super(message);
+        this.name = 'StorageError';
+        this.key = key;
+    }
+}
+
+/**
+ * @class IntegrityError
+ * @description
+ * A stored entry failed the integrity check, it was changed, moved to another key or encrypted with another key
+ */
+export class IntegrityError extends StorageError {
+
+    /**
+     * @param {string} key
+     * @param {Error|null} cause - The error of the decryption, if any
+     */
+    constructor(key, cause = null) {
+        super(`The entry "${key}" failed the integrity check, it was changed or encrypted with another key`, key);
+        this.name = 'IntegrityError';
+
+        /**
+         * @property {Error|null} cause
+         */
+        this.cause = cause;
+    }
+}
+
+/**
+ * @class MigrationError
+ * @description
+ * The entries of a namespace couldn't be migrated to the version declared in its `StorageSchema`
+ */
+export class MigrationError extends StorageError {
+
+    /**
+     * @param {string} namespace
+     * @param {number} fromVersion - The version of the stored entries
+     * @param {number} toVersion - The version whose migration failed, or the declared version
+     * @param {Error|null} cause - The error of the migration, `null` if the stored version is newer
+     */
+    constructor(namespace, fromVersion, toVersion, cause = null) {
+        super(cause
+            ? `The namespace "${namespace}" couldn't be migrated from version ${fromVersion} to ${toVersion}: ${cause.message}`
+            : `The namespace "${namespace}" has version ${fromVersion}, which is newer than version ${toVersion}`);
+        this.name = 'MigrationError';
+
+        /**
+         * @property {string} namespace
+         */
+        this.namespace = namespace;
+
+        /**
+         * @property {number} fromVersion
+         */
+        this.fromVersion = fromVersion;
+
+        /**
+         * @property {number} toVersion
+         */
+        this.toVersion = toVersion;
+
+        /**
+         * @property {Error|null} cause
+         */
+        this.cause = cause;
+
+        /**
+         * @property {boolean} reset - Whether the entries of the namespace were removed because of the error
+         */
+        this.reset = false;
+    }
+}
@@ -0,0 +1,155 @@
+import { MigrationError } from './storage-errors';
+
+/**
+ * The event published through the `emitter` of a schema when a migration failed, the detail is `{error}`
+ *
+ * @type {{MIGRATION_FAILED: string}}
+ */
+export const SCHEMA_EVENT = {
+    MIGRATION_FAILED: 'StorageSchema/migrationFailed',
+};
+
+/**
+ * The registered schemas by namespace
+ *
+ * @type {Object<string, object>}
+ */
+const SCHEMAS = {};
+
+/**
+ * @class StorageSchema
+ * @description
+ * StorageSchema is the registry of the versions of the namespaces of `NamespacedStorage`. A namespace with a
+ * declared version is migrated with the first access of a `NamespacedStorage` to it: the migrations after the
+ * stored version run in order over all entries of the namespace, and the result is written back together with the
+ * new version. Entries keep their expiration date.
+ *
+ * A migration receives the entries as an object by key, and returns the migrated entries or changes the object it
+ * received. Steps without migration leave the entries as they are. Entries stored before the namespace had a
+ * version count as version 0.
+ *
+ * If a migration throws, or the stored version is newer than the declared one, nothing is written. The
+ * `MigrationError` is passed to `onFailure` and published through the `emitter`. With `reset`, the entries of the
+ * namespace are removed and it starts over with the declared version.
+ *
+ * @example
+ * StorageSchema.register('wishlist', {
+ *     version: 2,
+ *     migrations: {
+ *         // version 1 stored an array of ids, version 2 stores a Set
+ *         2: entries => Object.assign(entries, { items: new Set(entries.items || []) }),
+ *     },
+ *     reset: true,
+ *     onFailure: error => logger.warn(error),
+ * });
+ *
+ * new NamespacedStorage('wishlist').get('items'); // migrated before it is read
+ *
+ * @author Daouda Warme
+ */
+export default class StorageSchema {
+
+    /**
+     * Declares the version of a namespace, a schema registered before is replaced
+     *
+     * @param {string} namespace
+     * @param {object} schema
+     * @param {number} schema.version - A positive integer
+     * @param {Object<number, function(Object<string, *>, {namespace: string, from: number, to: number}): (Object<string, *>|void)>} [schema.migrations = {}]
+     * - The migration to each version, by version
+     * @param {boolean} [schema.reset = false] - Whether the namespace is cleared when a migration fails
+     * @param {function(MigrationError)|null} [schema.onFailure = null]
+     * @param {NativeEventEmitter|null} [schema.emitter = null] - Publishes the `SCHEMA_EVENT`s
+     */
+    static register(namespace, { version, migrations = {}, reset = false, onFailure = null, emitter = null }) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`The version of the storage schema "${namespace}" must be a positive integer`);
+        }
+
+        SCHEMAS[namespace] = { version, migrations, reset, onFailure, emitter };
+    }
+
+    /**
+     * @param {string} namespace
+     */
+    static unregister(namespace) {
+        delete SCHEMAS[namespace];
+    }
+
+    /**
+     * @param {string} namespace
+     *
+     * @returns {{version: number, migrations: object, reset: boolean, onFailure: function|null, emitter: NativeEventEmitter|null}|null}
+     */
+    static get(namespace) {
+        return Object.prototype.hasOwnProperty.call(SCHEMAS, namespace) ? SCHEMAS[namespace] : null;
+    }
+
+    /**
+     * Returns the key the version of a namespace is stored at
+     *
+     * @param {string} namespace
+     *
+     * @returns {string}
+     */
+    static getVersionKey(namespace) {
+        return `storage-schema:${namespace}`;
+    }
+
+    /**
+     * Runs the migrations after the given version over the entries
+     *
+     * @param {string} namespace
+     * @param {Object<string, *>} entries
+     * @param {number} fromVersion
+     *
+     * @returns {Object<string, *>} the migrated entries
+     * @throws {MigrationError}
+     */
+    static migrate(namespace, entries, fromVersion) {
+        const schema = StorageSchema.get(namespace);
+
+        if (!schema) {
+            return entries;
+        }
+
+        if (fromVersion > schema.version) {
+            throw new MigrationError(namespace, fromVersion, schema.version);
+        }
+
+        return Object.keys(schema.migrations)
+            .map(Number)
+            .filter(version => version > fromVersion && version <= schema.version)
+            .sort((a, b) => a - b)
+            .reduce((current, version) => {
+                try {
+                    const result = schema.migrations[version](current, { namespace, from: fromVersion, to: version });
+
+                    return typeof result === 'undefined' ? current : result;
+                } catch (error) {
+                    throw new MigrationError(namespace, fromVersion, version, error);
+                }
+            }, entries);
+    }
+
+    /**
+     * Passes the error to the `onFailure` of the schema and publishes it
+     *
+     * @param {MigrationError} error
+     */
+    static report(error) {
+        const schema = StorageSchema.get(error.namespace);
+
+        if (!schema) {
+            return;
+        }
+
+        if (schema.onFailure) {
+            schema.onFailure(error);
+        }
+
+        if (schema.emitter) {
+            schema.emitter.publish(SCHEMA_EVENT.MIGRATION_FAILED, { error });
+        }
+    }
+}
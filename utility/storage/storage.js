@@ -1,6 +1,61 @@
 import CookieStorage from './cookie-storage';
 import MemoryStorage from "./memory-storage";
 
+/**
+ * Why a backend wasn't chosen
+ *
+ * - `UNAVAILABLE`: the backend doesn't exist in this environment, or doesn't keep values
+ * - `SECURITY`: the browser denies access, e.g. because cookies or site data are blocked
+ * - `QUOTA`: the backend is full, or has no quota at all like Safari's private mode
+ * - `INVALID`: the backend lacks a function of the Web Storage interface
+ *
+ * @type {{UNAVAILABLE: string, SECURITY: string, QUOTA: string, INVALID: string}}
+ */
+export const STORAGE_FAILURE = {
+    UNAVAILABLE: 'unavailable',
+    SECURITY: 'security',
+    QUOTA: 'quota',
+    INVALID: 'invalid',
+};
+
+/**
+ * Returns whether the error was thrown because a storage is full
+ *
+ * @param {Error|DOMException} error
+ *
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+    // 22 and 1014 are the codes of the quota errors of older browsers
+    return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error.code === 22 || error.code === 1014);
+}
+
+/**
+ * The registered adapters in the order they are tried, each `{name, create}`. `create` returns the storage, or
+ * `null` if it doesn't exist in this environment.
+ *
+ * @type {Array<{name: string, create: function(): (object|null)}>}
+ */
+const ADAPTERS = [
+    {
+        name: 'localStorage',
+        create: () => (typeof window !== 'undefined' ? window.localStorage : null),
+    },
+    {
+        name: 'sessionStorage',
+        create: () => (typeof window !== 'undefined' ? window.sessionStorage : null),
+    },
+    {
+        name: 'cookie',
+        create: () => (typeof document !== 'undefined' && CookieStorage.isSupported() ? CookieStorage : null),
+    },
+    {
+        name: 'memory',
+        create: () => new MemoryStorage(),
+    },
+];
+
 /**
  * StorageSingleton
  *
@@ -13,15 +68,104 @@ import MemoryStorage from "./memory-storage";
  * - Automatic Storage Selection**: Chooses the best available storage (localStorage, sessionStorage, cookies, or memory).
  * - Compatibility Check**: Ensures that the selected storage type has a standard API (setItem, getItem, removeItem, etc.).
  * - Singleton Pattern**: Ensures that only one instance of storage is created and used across the application, preventing conflicts.
+ * - Adapter Registry**: Further backends are added through `registerAdapter()`, an instance can be limited to some of them.
+ * - Lazy Selection**: The backend is chosen on first use, so importing the module doesn't require a browser.
+ *
+ * `getBackend()` returns the name of the chosen adapter and `getFailures()` why the adapters before it were skipped.
+ *
+ * Breaking change: the default export of this module used to be the chosen backend itself, e.g.
+ * `window.localStorage`. It is now a frozen object which forwards the functions of the Web Storage interface and
+ * `length` to the backend chosen on first use. Therefore:
+ * - properties of the backend can't be read or written directly, use `getItem()` and `setItem()` instead of
+ *   `Storage.foo`
+ * - `instanceof` checks and comparisons with `window.localStorage` or `CookieStorage` fail, compare
+ *   `resolveStorage(Storage)` or `StorageInstance.getStorage()` instead
+ *
+ * @example
+ * // privacy mode: nothing outlives the session
+ * StorageInstance.configure({ adapters: ['sessionStorage', 'memory'] });
+ *
+ * @example
+ * StorageSingleton.registerAdapter('native-bridge', () => window.NativeApp && window.NativeApp.storage, { before: 'localStorage' });
+ * const storage = StorageSingleton.create({ adapters: ['native-bridge', 'memory'] });
+ * storage.getBackend(); // 'memory'
+ * storage.getFailures(); // [{ adapter: 'native-bridge', reason: 'unavailable', error: null }]
  *
  * @author Daouda Warme
  */
-class StorageSingleton {
+export class StorageSingleton {
+
+    /**
+     * @param {object} options
+     * @param {string[]|null} [options.adapters = null] - The names of the adapters to try in this order, defaults to
+     * all registered adapters
+     */
+    constructor({ adapters = null } = {}) {
+
+        /**
+         * @private
+         * @property {{adapters: string[]|null, storage: object|null, backend: string|null, failures: Array}} _selection
+         * - Kept in an object of its own, so the selection can happen after the instance was frozen
+         */
+        this._selection = { adapters, storage: null, backend: null, failures: [] };
+    }
+
+    /**
+     * Creates a storage instance which chooses among the given adapters
+     *
+     * @param {object} options - see the constructor
+     *
+     * @returns {StorageSingleton}
+     */
+    static create(options = {}) {
+        return new StorageSingleton(options);
+    }
+
+    /**
+     * Registers an adapter, by default it is tried last. An adapter with the same name is replaced.
+     *
+     * @param {string} name
+     * @param {function(): (object|null)} create - Returns the storage, or `null` if it isn't available
+     * @param {object} options
+     * @param {string|null} [options.before = null] - The name of the adapter it is tried before
+     */
+    static registerAdapter(name, create, { before = null } = {}) {
+        if (typeof create !== 'function') {
+            throw new Error(`The storage adapter "${name}" must be a function which creates the storage`);
+        }
+
+        StorageSingleton.unregisterAdapter(name);
+
+        const index = ADAPTERS.findIndex(adapter => adapter.name === before);
+        ADAPTERS.splice(index === -1 ? ADAPTERS.length : index, 0, { name, create });
+    }
+
+    /**
+     * @param {string} name
+     */
+    static unregisterAdapter(name) {
+        const index = ADAPTERS.findIndex(adapter => adapter.name === name);
 
-    constructor() {
-        this._storage = null;
-        this._chooseStorage();
-        this._validateStorage();
+        if (index !== -1) {
+            ADAPTERS.splice(index, 1);
+        }
+    }
+
+    /**
+     * @returns {string[]} the names of the registered adapters, in the order they are tried
+     */
+    static getAdapters() {
+        return ADAPTERS.map(adapter => adapter.name);
+    }
+
+    /**
+     * Changes the adapters to choose from, the backend is chosen again on next use
+     *
+     * @param {object} options
+     * @param {string[]|null} [options.adapters = null]
+     */
+    configure({ adapters = null } = {}) {
+        Object.assign(this._selection, { adapters, storage: null, backend: null, failures: [] });
     }
 
     /**
@@ -31,70 +175,163 @@ class StorageSingleton {
      * @private
      */
     _chooseStorage() {
-        if (StorageSingleton._isSupported(window.localStorage)) {
-            return this._storage = window.localStorage;
+        const names = this._selection.adapters || StorageSingleton.getAdapters();
+        const failures = [];
+
+        for (let i = 0; i < names.length; i++) {
+            const adapter = ADAPTERS.find(registered => registered.name === names[i]);
+            const result = adapter ? this._tryAdapter(adapter) : {
+                reason: STORAGE_FAILURE.UNAVAILABLE,
+                error: new Error(`The storage adapter "${names[i]}" isn't registered`),
+            };
+
+            if (result.storage) {
+                Object.assign(this._selection, { storage: result.storage, backend: adapter.name, failures });
+                return this._selection.storage;
+            }
+
+            failures.push({ adapter: names[i], reason: result.reason, error: result.error });
+        }
+
+        this._selection.failures = failures;
+
+        throw new Error(`No storage is available, tried: ${failures.map(({ adapter, reason }) => `${adapter} (${reason})`).join(', ')}`);
+    }
+
+    /**
+     * creates and tests the storage of an adapter
+     *
+     * @param {{name: string, create: function(): (object|null)}} adapter
+     *
+     * @returns {{storage: object}|{reason: string, error: Error|null}}
+     * @private
+     */
+    _tryAdapter(adapter) {
+        let storage;
+
+        try {
+            storage = adapter.create();
+        } catch (error) {
+            return { reason: StorageSingleton._getFailureReason(error), error };
         }
 
-        if (StorageSingleton._isSupported(window.sessionStorage)) {
-            return this._storage = window.sessionStorage;
+        if (!storage) {
+            return { reason: STORAGE_FAILURE.UNAVAILABLE, error: null };
         }
 
-        if (CookieStorage.isSupported()) {
-            return this._storage = CookieStorage;
+        try {
+            this._validateStorage(storage);
+        } catch (error) {
+            return { reason: STORAGE_FAILURE.INVALID, error };
         }
 
-        return this._storage = new MemoryStorage();
+        try {
+            if (!StorageSingleton._isSupported(storage)) {
+                return { reason: STORAGE_FAILURE.UNAVAILABLE, error: null };
+            }
+        } catch (error) {
+            return { reason: StorageSingleton._getFailureReason(error), error };
+        }
+
+        return { storage };
     }
 
     /**
-     * returns if the passed storage is supported
+     * returns if the passed storage keeps a value, errors of the storage are thrown
      *
      * @param storage
      * @returns {boolean}
      * @private
      */
     static _isSupported(storage) {
-        try {
-            const testKey = '__storage_test';
-            storage.setItem(testKey, '1');
-            storage.removeItem(testKey);
-            return true;
-        } catch (e) {
-            return false;
+        const testKey = '__storage_test';
+        storage.setItem(testKey, '1');
+        const supported = storage.getItem(testKey) === '1';
+        storage.removeItem(testKey);
+
+        return supported;
+    }
+
+    /**
+     * returns why accessing a storage failed
+     *
+     * @param {Error|DOMException} error
+     * @returns {string}
+     * @private
+     */
+    static _getFailureReason(error) {
+        if (isQuotaError(error)) {
+            return STORAGE_FAILURE.QUOTA;
         }
+
+        // 18 is the code of SECURITY_ERR in older browsers
+        if (error && (error.name === 'SecurityError' || error.code === 18)) {
+            return STORAGE_FAILURE.SECURITY;
+        }
+
+        return STORAGE_FAILURE.UNAVAILABLE;
     }
 
     /**
      * ensures the same interface
      * for each storage
      *
+     * @param {object} [storage] - defaults to the currently used storage
      * @private
      */
-    _validateStorage() {
-        if (typeof this._storage.setItem !== 'function') {
+    _validateStorage(storage = this._selection.storage) {
+        if (typeof storage.setItem !== 'function') {
             throw new Error('The storage must have a "setItem" function');
         }
-        if (typeof this._storage.getItem !== 'function') {
+        if (typeof storage.getItem !== 'function') {
             throw new Error('The storage must have a "getItem" function');
         }
-        if (typeof this._storage.removeItem !== 'function') {
+        if (typeof storage.removeItem !== 'function') {
             throw new Error('The storage must have a "removeItem" function');
         }
-        if (typeof this._storage.key !== 'function') {
+        if (typeof storage.key !== 'function') {
             throw new Error('The storage must have a "key" function');
         }
-        if (typeof this._storage.clear !== 'function') {
+        if (typeof storage.clear !== 'function') {
             throw new Error('The storage must have a "clear" function');
         }
     }
 
     /**
-     * returns the currently used storage
+     * returns the currently used storage, it is chosen on first call
      *
      * @returns {Storage|null}
      */
     getStorage() {
-        return this._storage;
+        return this._selection.storage || this._chooseStorage();
+    }
+
+    /**
+     * returns the name of the adapter of the currently used storage
+     *
+     * @returns {string}
+     */
+    getBackend() {
+        this.getStorage();
+
+        return this._selection.backend;
+    }
+
+    /**
+     * returns why the adapters tried before the chosen one failed
+     *
+     * @returns {Array<{adapter: string, reason: string, error: Error|null}>}
+     */
+    getFailures() {
+        if (!this._selection.storage) {
+            try {
+                this._chooseStorage();
+            } catch (e) {
+                // the failures of all adapters are returned
+            }
+        }
+
+        return this._selection.failures.slice();
     }
 }
 
@@ -104,4 +341,33 @@ class StorageSingleton {
  */
 export const StorageInstance = Object.freeze(new StorageSingleton());
 
-export default StorageInstance.getStorage();
+/**
+ * Forwards to the storage of `StorageInstance`, which is chosen on first use. It isn't the backend itself, see the
+ * breaking change described at `StorageSingleton`.
+ *
+ * @type {Readonly<Storage>}
+ */
+const DefaultStorage = Object.freeze({
+    getItem: (...args) => StorageInstance.getStorage().getItem(...args),
+    setItem: (...args) => StorageInstance.getStorage().setItem(...args),
+    removeItem: (...args) => StorageInstance.getStorage().removeItem(...args),
+    key: (...args) => StorageInstance.getStorage().key(...args),
+    clear: (...args) => StorageInstance.getStorage().clear(...args),
+    get length() {
+        return StorageInstance.getStorage().length;
+    },
+});
+
+/**
+ * Returns the storage the default export forwards to, other storages are returned as they are.
+ * Needed where the backend itself matters, e.g. to compare it with `CookieStorage` or `window.localStorage`.
+ *
+ * @param {object} storage
+ *
+ * @returns {object}
+ */
+export function resolveStorage(storage) {
+    return storage === DefaultStorage ? StorageInstance.getStorage() : storage;
+}
+
+export default DefaultStorage;
@@ -84,4 +84,15 @@ export default class StringHelper {
             return value.toString();
         }
     }
+
+    /**
+     * returns an id which is unique enough to tell apart
+     * entries, uploads or tabs, it isn't meant for security
+     *
+     * @returns {string}
+     * @public
+     */
+    static createUniqueId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
 }